@@ -4,6 +4,68 @@
  * @property {string} [ALLOWED_ORIGIN] - Allowed CORS Origin (comma-separated list or '*')
  * @property {string} [K8S_BEARER_TOKEN] - Bearer token for authentication
  * @property {string} [ENVIRONMENT] - Deployment environment ('development' or 'production')
+ * @property {string} [AUTH_METHODS] - Client authentication methods to accept (comma-separated: 'jwt', 'apikey')
+ * @property {string} [AUTH_JWKS_URL] - JWKS endpoint used to verify client JWTs (Cloudflare Access / OIDC)
+ * @property {string} [AUTH_JWT_ISSUER] - Required `iss` claim for client JWTs
+ * @property {string} [AUTH_JWT_AUDIENCE] - Required `aud` claim for client JWTs
+ * @property {string} [AUTH_API_KEYS] - JSON object mapping client names to SHA-256 hex digests of their API keys
+ * @property {string} [POLICY_RULES] - JSON array of ordered authorization policy rules
+ * @property {KVNamespace} [POLICY_KV] - KV namespace holding policy rules (used when POLICY_RULES is unset)
+ * @property {string} [POLICY_KV_KEY] - Key of the policy rules in POLICY_KV (default 'policy')
+ * @property {string} [POLICY_DEFAULT] - Effect when no policy rule matches ('allow' or 'deny', default 'deny')
+ * @property {string} [READ_ONLY] - 'true' to reject mutating verbs and exec/attach/portforward
+ * @property {string} [READ_ONLY_ALLOW_DRY_RUN] - 'true' to let `?dryRun=All` requests through in read-only mode
+ * @property {string} [CLUSTERS] - JSON cluster registry: `{"<name>": {"url": "...", "tokenSecret": "<SECRET_NAME>"}}`
+ * @property {string} [RATE_LIMIT_READ] - Read budget per client, as '<requests>/<seconds>'
+ * @property {string} [RATE_LIMIT_WRITE] - Write budget per client, as '<requests>/<seconds>'
+ * @property {string} [RATE_LIMIT_WATCH] - Watch/streaming connection budget per client, as '<requests>/<seconds>'
+ * @property {DurableObjectNamespace} [RATE_LIMITER] - RateLimiter Durable Object binding (in-memory buckets if unset)
+ * @property {string} [DISCOVERY_CACHE_TTL] - Seconds discovery/OpenAPI responses stay fresh in the edge cache (0 disables)
+ * @property {KVNamespace} [CACHE_GENERATION_KV] - KV namespace sharing discovery cache generations across data centers
+ * @property {string} [PROXY_ADMIN_TOKEN] - Token required in X-Proxy-Admin-Token for admin endpoints
+ * @property {string} [AUDIT_LEVEL] - Default audit level for mutating requests (None, Metadata, Request, RequestResponse)
+ * @property {string} [AUDIT_RESOURCE_LEVELS] - JSON object mapping resources (or 'resource/subresource') to audit levels
+ * @property {string} [AUDIT_SINK] - Audit event destination ('console', 'webhook' or 'queue')
+ * @property {string} [AUDIT_WEBHOOK_URL] - Endpoint receiving batched audit EventLists
+ * @property {string} [AUDIT_WEBHOOK_TOKEN] - Bearer token for the audit webhook
+ * @property {string} [AUDIT_BATCH_SIZE] - Audit events per webhook request (default 50)
+ * @property {Queue} [AUDIT_QUEUE] - Queue binding for the queue audit sink
+ * @property {string} [REDACT_SECRETS] - 'true' to replace Secret data/stringData values in responses
+ * @property {string} [REDACTION_RULES] - JSON array of `{kinds, paths}` response redaction rules
+ * @property {DurableObjectNamespace} [METRICS] - MetricsAggregator Durable Object binding (in-memory metrics if unset)
+ * @property {string} [UPSTREAM_TIMEOUT_MS] - Milliseconds to wait for upstream response headers (default 30000, 0 disables)
+ * @property {string} [UPSTREAM_RETRIES] - Retries for idempotent requests on connection errors and 502/503/504 (default 0)
+ * @property {string} [UPSTREAM_RETRY_BASE_MS] - Base delay for exponential retry backoff (default 100)
+ * @property {string} [CIRCUIT_BREAKER_THRESHOLD] - Consecutive upstream failures that open the circuit (unset disables)
+ * @property {string} [CIRCUIT_BREAKER_COOLDOWN_MS] - Milliseconds the circuit stays open (default 30000)
+ * @property {string} [UPSTREAM_ALLOWED_HOSTS] - Comma-separated upstream hosts (or '*.domain' patterns) that K8S_API_URL and CLUSTERS may use
+ * @property {string} [UPSTREAM_DNS_CHECK] - 'true' to resolve upstream hostnames over DNS-over-HTTPS and reject internal addresses
+ * @property {string} [REQUEST_HEADER_ALLOWLIST] - Extra client headers forwarded upstream (comma-separated, 'Prefix-*' allowed)
+ * @property {string} [RESPONSE_HEADER_ALLOWLIST] - Extra upstream headers returned to clients (comma-separated, 'Prefix-*' allowed)
+ * @property {string} [FORWARD_IMPERSONATION_HEADERS] - 'true' to forward client Impersonate-* headers
+ * @property {string} [IMPERSONATION_MAPPING] - JSON mapping from the verified client identity to Impersonate-* headers
+ * @property {string} [NAMESPACE_SCOPE] - JSON namespace allowlist per deployment, client group and subject
+ * @property {string} [OTEL_EXPORTER_OTLP_ENDPOINT] - OTLP/HTTP base URL; spans are POSTed to `<endpoint>/v1/traces`
+ * @property {string} [OTEL_EXPORTER_OTLP_TRACES_ENDPOINT] - Full OTLP/HTTP traces URL (overrides OTEL_EXPORTER_OTLP_ENDPOINT)
+ * @property {string} [OTEL_EXPORTER_OTLP_HEADERS] - Exporter headers as 'key=value' pairs, comma-separated
+ * @property {string} [OTEL_SERVICE_NAME] - `service.name` resource attribute (default 'kubernetes-api-proxy')
+ * @property {string} [READINESS_TIMEOUT_MS] - Time budget for each cluster's /kubernetes/proxy-ready probes (default 3000)
+ * @property {string} [READINESS_CACHE_MS] - Milliseconds /kubernetes/proxy-ready reuses probe results (default 5000, 0 disables)
+ * @property {string} [AGGREGATE_CONCURRENCY] - Targets an aggregated list queries at once (default 4)
+ * @property {string} [AGGREGATE_MAX_ITEMS] - Maximum items in an aggregated list (default 5000)
+ * @property {string} [AGGREGATE_PAGE_SIZE] - `limit` of each upstream page in an aggregated list (default 500)
+ * @property {string} [SSE_HEARTBEAT_MS] - Interval of heartbeat comments on Server-Sent Events watch streams (default 15000, 0 disables)
+ * @property {string} [MAX_REQUEST_BODY_BYTES] - Largest accepted request body (default 3 MiB, 0 disables)
+ * @property {string} [SCHEMA_VALIDATION] - 'true' to validate created and replaced objects against the cluster's OpenAPI v3 schema
+ * @property {string} [DRY_RUN_PATHS] - Comma-separated API path prefixes whose mutating requests are forced to dryRun=All
+ * @property {string} [URL_SIGNING_SECRET] - (Secret) HMAC key for signed resource URLs; unset disables /kubernetes/proxy-sign
+ * @property {string} [SIGNED_URL_MAX_TTL] - Longest lifetime of a signed URL in seconds (default 86400)
+ * @property {string} [WEBSOCKET_IDLE_TIMEOUT_MS] - Closes relayed WebSocket sessions without traffic for this long (default 900000, 0 disables)
+ * @property {string} [WEBSOCKET_MAX_DURATION_MS] - Closes relayed WebSocket sessions after this long (default 14400000, 0 disables)
+ * @property {string} [SESSION_RECORDING] - Default recording level of exec/attach sessions ('None', 'Output' or 'InputOutput', default 'None')
+ * @property {string} [SESSION_RECORDING_RULES] - JSON array of ordered `{level, ...}` rules choosing the recording level per session
+ * @property {string} [SESSION_RECORDING_MAX_BYTES] - Largest amount of terminal data kept per recording (default 10 MiB)
+ * @property {R2Bucket} [SESSION_RECORDINGS] - R2 bucket (or any object with an R2-style `put`) receiving asciicast recordings
  */
 
 /**
@@ -18,6 +80,222 @@
  * @property {string} [stack] - Error stack trace
  * @property {string} [reason] - Rejection reason
  * @property {string} [origin] - Request origin
+ * @property {string} [subject] - Authenticated client subject
+ * @property {string} [rule] - Policy rule that decided the request
+ * @property {string} [cluster] - Target cluster name
+ * @property {string} [bucket] - Rate limit budget name
+ * @property {string} [cache] - Discovery cache outcome (HIT, MISS, REVALIDATED)
+ * @property {string} [resource] - Kubernetes resource type
+ * @property {number} [targets] - Number of cluster/namespace targets of an aggregated list
+ * @property {string} [contentType] - Request Content-Type
+ * @property {number} [limitBytes] - Request body size limit
+ * @property {boolean} [dryRun] - Whether the request was forced to dryRun=All
+ * @property {string} [expiresAt] - Expiry of an issued signed URL (ISO 8601)
+ * @property {string} [subprotocol] - Negotiated WebSocket subprotocol
+ * @property {string} [command] - Exec command from the `command` query parameters
+ * @property {number} [bytesFromClient] - Bytes relayed from the client to the API server
+ * @property {number} [bytesFromUpstream] - Bytes relayed from the API server to the client
+ * @property {number} [closeCode] - WebSocket close code
+ * @property {string} [closeReason] - WebSocket close reason
+ * @property {'client'|'upstream'|'proxy'} [closedBy] - Side that ended a WebSocket session
+ * @property {string} [recording] - Storage key of an exec/attach session recording
+ * @property {string} [traceId] - W3C trace ID of the request
+ */
+
+/**
+ * @typedef {Object} TraceContext
+ * @property {string} traceId - Trace ID (32 hex characters)
+ * @property {string} spanId - Span ID of this proxy hop (16 hex characters)
+ * @property {string} [parentSpanId] - Caller's span ID when an incoming trace was continued
+ * @property {boolean} sampled - Whether the trace is sampled
+ * @property {string} [tracestate] - Vendor trace state, forwarded unchanged
+ */
+
+/**
+ * @typedef {Object} RateLimit
+ * @property {number} capacity - Bucket size (maximum burst)
+ * @property {number} refillPerSecond - Tokens added per second
+ */
+
+/**
+ * @typedef {Object} RateLimitDecision
+ * @property {boolean} allowed - Whether the request may proceed
+ * @property {number} remaining - Tokens left in the bucket
+ * @property {number} retryAfterSeconds - Seconds until a token is available (0 when allowed)
+ */
+
+/**
+ * @typedef {'None'|'Metadata'|'Request'|'RequestResponse'} AuditLevel
+ */
+
+/**
+ * @typedef {Object} MetricSample
+ * @property {string} name - Metric name (a key of METRIC_DEFINITIONS)
+ * @property {Object<string, string>} [labels] - Metric labels
+ * @property {number} [value] - Counter increment or observed histogram value (default 1)
+ */
+
+/**
+ * Aggregated metrics: metric name -> label string -> counter value or histogram state
+ * @typedef {Object<string, Object<string, number|{buckets: number[], sum: number, count: number}>>} MetricsSnapshot
+ */
+
+/**
+ * @typedef {Object} RedactionOptions
+ * @property {boolean} redactSecrets - Redact Secret data/stringData
+ * @property {{kinds: string[], paths: Object[][]}[]} rules - Compiled path rules
+ */
+
+/**
+ * @typedef {Object} ClusterTarget
+ * @property {string} name - Cluster name ('default' for K8S_API_URL)
+ * @property {string} url - Upstream Kubernetes API URL
+ * @property {string} [token] - Bearer token injected for this cluster
+ */
+
+/**
+ * @typedef {Object} ClusterReadiness
+ * @property {string} name - Cluster name
+ * @property {boolean} ready - Whether every required check passed
+ * @property {boolean} reachable - Whether the API server answered any probe
+ * @property {boolean} readyz - Whether /readyz returned 200
+ * @property {number|null} latencyMs - Round trip of the /readyz probe
+ * @property {string|null} serverVersion - Kubernetes `gitVersion` from /version
+ * @property {boolean|null} tokenValid - Whether the injected token authenticates (null when unknown or no token is set)
+ * @property {string[]} errors - Failed checks, as '<check>: <reason>'
+ */
+
+/**
+ * @typedef {Object} RequestInfo
+ * @property {string} path - API path the info was parsed from
+ * @property {boolean} isResourceRequest - True for /api and /apis resource paths
+ * @property {string} verb - Kubernetes verb (get, list, watch, create, update, patch, delete, deletecollection)
+ * @property {string} apiPrefix - First path segment ('api', 'apis', 'version', ...)
+ * @property {string} group - API group ('' for the core group)
+ * @property {string} version - API version
+ * @property {string} namespace - Namespace ('' for cluster-scoped requests)
+ * @property {string} resource - Resource type (e.g. 'pods')
+ * @property {string} name - Resource name ('' for collections)
+ * @property {string} subresource - Subresource (e.g. 'log', 'exec')
+ */
+
+/**
+ * @typedef {Object} PolicyRule
+ * @property {'allow'|'deny'} effect - Decision when the rule matches
+ * @property {string} [name] - Rule name reported in denials
+ * @property {string} [path] - Path glob ('*' matches one segment, '**' any number)
+ * @property {string[]} [methods] - HTTP methods
+ * @property {string[]} [verbs] - Kubernetes verbs
+ * @property {string[]} [apiGroups] - API groups ('' for core)
+ * @property {string[]} [resources] - Resource types
+ * @property {string[]} [subresources] - Subresources
+ * @property {string[]} [namespaces] - Namespaces
+ * @property {string[]} [names] - Resource names
+ * @property {'namespaced'|'cluster'} [scope] - Resource scope
+ */
+
+/**
+ * @typedef {Object} ClientIdentity
+ * @property {string} subject - Authenticated subject (JWT `email`/`sub` or API key name)
+ * @property {string[]} groups - Groups the subject belongs to
+ * @property {'jwt'|'apikey'|'signed-url'} method - Authentication method that produced the identity
+ * @property {Object} [claims] - Verified JWT claims
+ */
+
+/**
+ * @typedef {Object} ImpersonationMapping
+ * @property {string} [user] - Claim holding the username (default: the identity subject)
+ * @property {string} [userPrefix] - Prefix added to the username (e.g. 'oidc:')
+ * @property {string} [groups] - Claim holding the group list (default: the identity groups)
+ * @property {string} [groupPrefix] - Prefix added to each mapped group
+ * @property {string[]} [staticGroups] - Group added for every impersonated user (at most one)
+ * @property {string} [uid] - Claim sent as Impersonate-Uid
+ * @property {Object<string, string>} [extra] - Impersonate-Extra-<key> names mapped to claims
+ */
+
+/**
+ * @typedef {Object} NamespaceScope
+ * @property {string[]} [namespaces] - Namespaces every client may use ('*' for all)
+ * @property {Object<string, string[]>} [groups] - Namespaces per client group, replacing `namespaces` for members
+ * @property {Object<string, string[]>} [subjects] - Namespaces per client subject, replacing `namespaces`
+ * @property {'reject'|'rewrite'} [clusterWide] - Handling of cluster-wide list/watch of namespaced resources
+ * @property {string[]} [clusterScopedResources] - Cluster-scoped resources clients may still use ('resource' or 'group/resource')
+ */
+
+/**
+ * @typedef {Object} NamespaceScopeDecision
+ * @property {boolean} allowed - Whether the request may proceed
+ * @property {string} [message] - Rejection message
+ * @property {string[]} [namespaces] - Namespaces a cluster-wide list/watch is rewritten into
+ */
+
+/**
+ * @typedef {Object} AggregateTarget
+ * @property {string} cluster - Cluster name
+ * @property {string} namespace - Namespace ('' for all namespaces)
+ * @property {{code: number, reason: string, message: string}} [error] - Why the target failed or was not queried
+ */
+
+/**
+ * @typedef {Object} ValidationCause
+ * @property {'FieldValueRequired'|'FieldValueTypeInvalid'|'FieldValueNotSupported'|'FieldValueInvalid'} reason - Kubernetes CauseType
+ * @property {string} message - Human-readable description
+ * @property {string} field - Field path (e.g. 'spec.template.spec.containers[0].image')
+ */
+
+/**
+ * @typedef {Object} DiffEntry
+ * @property {'add'|'remove'|'replace'} op - Change applied to the live object
+ * @property {string} path - JSON Pointer of the changed field (e.g. '/spec/replicas')
+ * @property {*} [oldValue] - Live value (remove/replace)
+ * @property {*} [value] - Proposed value (add/replace)
+ */
+
+/**
+ * @typedef {Object} WebSocketSession
+ * @property {number} bytesFromClient - Bytes relayed from the client to the API server
+ * @property {number} bytesFromUpstream - Bytes relayed from the API server to the client
+ * @property {number} durationMs - Session duration in milliseconds
+ * @property {number} code - Close code sent to both sides
+ * @property {string} reason - Close reason
+ * @property {'client'|'upstream'|'proxy'} closedBy - Side that ended the session
+ */
+
+/**
+ * @typedef {'None'|'Output'|'InputOutput'} RecordingLevel
+ */
+
+/**
+ * @typedef {Object} SessionRecordingRule
+ * @property {RecordingLevel} level - Recording level when the rule matches
+ * @property {string} [name] - Rule name reported in logs
+ * @property {string[]} [subjects] - Client subjects
+ * @property {string[]} [groups] - Client groups (any one matches)
+ * @property {string[]} [namespaces] - Namespaces
+ * @property {string[]} [names] - Pod names
+ * @property {string[]} [subresources] - 'exec' and/or 'attach'
+ */
+
+/**
+ * @typedef {Object} SessionMetadata
+ * @property {string} cluster - Target cluster name
+ * @property {string} namespace - Pod namespace
+ * @property {string} pod - Pod name
+ * @property {string} [container] - Container from the `container` query parameter
+ * @property {string} [command] - Exec command from the `command` query parameters
+ * @property {string} subresource - 'exec' or 'attach'
+ * @property {string} [subprotocol] - Negotiated WebSocket subprotocol
+ * @property {string} [subject] - Authenticated client subject
+ * @property {string[]} [groups] - Authenticated client groups
+ * @property {string} requestId - Request ID of the upgrade
+ */
+
+/**
+ * @typedef {Object} AuthResult
+ * @property {boolean} authenticated - Whether the caller may proceed
+ * @property {ClientIdentity|null} [identity] - Verified identity (null when authentication is disabled)
+ * @property {string} [error] - Rejection reason
+ * @property {boolean} [unavailable] - True when credentials could not be checked (e.g. the JWKS endpoint failed)
  */
 
 /** @type {string} */
@@ -26,125 +304,4092 @@ const VERSION = '1.0.2';
 /** @type {string} */
 const DEFAULT_UPSTREAM_URL = 'https://api.scarmonit.com';
 
+/** @type {number} */
+const JWKS_CACHE_TTL_MS = 10 * 60 * 1000;
+
+/** @type {number} */
+const JWT_CLOCK_SKEW_SECONDS = 60;
+
+/** Web Crypto parameters for supported JWS algorithms */
+const JWT_ALGORITHMS = {
+  RS256: {
+    importParams: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+    verifyParams: { name: 'RSASSA-PKCS1-v1_5' },
+  },
+  ES256: {
+    importParams: { name: 'ECDSA', namedCurve: 'P-256' },
+    verifyParams: { name: 'ECDSA', hash: 'SHA-256' },
+  },
+};
+
+/** @type {Map<string, {keys: Object[], expiresAt: number}>} */
+const jwksCache = new Map();
+
+/** @type {string} */
+const CLUSTER_ROUTE_PREFIX = '/kubernetes/clusters';
+
+/** @type {string} */
+const AGGREGATE_ROUTE_PREFIX = '/kubernetes/aggregate';
+
+/** @type {string} */
+const PREVIEW_ROUTE = '/kubernetes/preview';
+
+/** @type {string} */
+const SIGN_ROUTE = '/kubernetes/proxy-sign';
+
+/** Query parameter carrying a signed URL's claims and HMAC */
+const SIGNED_URL_PARAM = 'proxy-signature';
+
+/** @type {number} */
+const DEFAULT_SIGNED_URL_TTL = 3600;
+
+/** @type {number} */
+const DEFAULT_SIGNED_URL_MAX_TTL = 86400;
+
+/** @type {string} */
+const DEFAULT_PREVIEW_FIELD_MANAGER = 'kubernetes-api-proxy-preview';
+
+/** Client header that forces a mutating request to dryRun=All */
+const DRY_RUN_HEADER = 'X-Dry-Run';
+
+/** Subresources that return Kubernetes objects (others, such as log and exec, stream raw data) */
+const JSON_SUBRESOURCES = ['status', 'scale', 'ephemeralcontainers', 'resize', 'binding', 'eviction', 'token'];
+
+/** Subprotocols of the Kubernetes streaming (exec/attach/portforward) API */
+const ALLOWED_WEBSOCKET_SUBPROTOCOLS = ['v5.channel.k8s.io', 'v4.channel.k8s.io', 'base64.channel.k8s.io'];
+
+/** Subprotocol prefix browsers use to carry a bearer token; the proxy injects its own */
+const BEARER_SUBPROTOCOL_PREFIX = 'base64url.bearer.authorization.k8s.io.';
+
+/** @type {number} */
+const DEFAULT_WEBSOCKET_IDLE_TIMEOUT_MS = 15 * 60 * 1000;
+
+/** @type {number} */
+const DEFAULT_WEBSOCKET_MAX_DURATION_MS = 4 * 60 * 60 * 1000;
+
+/** @type {RecordingLevel[]} */
+const RECORDING_LEVELS = ['None', 'Output', 'InputOutput'];
+
+/** Subresources whose WebSocket sessions can be recorded */
+const RECORDED_SUBRESOURCES = ['exec', 'attach'];
+
+/** Subresources served over WebSockets; watches may upgrade too unless responses are redacted */
+const WEBSOCKET_SUBRESOURCES = ['exec', 'attach', 'portforward'];
+
+/** @type {number} */
+const DEFAULT_SESSION_RECORDING_MAX_BYTES = 10 * 1024 * 1024;
+
+/** channel.k8s.io stream numbers */
+const STREAM_CHANNELS = { stdin: 0, stdout: 1, stderr: 2, error: 3, resize: 4 };
+
+/** @type {number} */
+const DEFAULT_AGGREGATE_CONCURRENCY = 4;
+
+/** @type {number} */
+const DEFAULT_AGGREGATE_MAX_ITEMS = 5000;
+
+/** @type {number} */
+const DEFAULT_AGGREGATE_PAGE_SIZE = 500;
+
+/** @type {string} */
+const AGGREGATE_ANNOTATION_PREFIX = 'kubernetes-api-proxy/';
+
+/** @type {string} */
+const CACHE_KEY_ORIGIN = 'https://proxy-cache.internal';
+
+/** @type {number} */
+const CACHE_ENTRY_RETENTION_SECONDS = 24 * 60 * 60;
+
+/** @type {number} */
+const CACHE_GENERATION_RETENTION_SECONDS = 365 * 24 * 60 * 60;
+
+/** @type {string} */
+const NO_STORE_CACHE_CONTROL = 'no-store, no-cache, must-revalidate';
+
+/** @type {string} */
+const REDACTED_VALUE = '[REDACTED]';
+
+/** @type {AuditLevel[]} */
+const AUDIT_LEVELS = ['None', 'Metadata', 'Request', 'RequestResponse'];
+
+/** Metrics exposed on /kubernetes/proxy-metrics */
+const METRIC_DEFINITIONS = {
+  kubernetes_proxy_requests_total: { type: 'counter', help: 'Proxied requests by cluster, method, resource and status class.' },
+  kubernetes_proxy_upstream_duration_seconds: { type: 'histogram', help: 'Time from request receipt to upstream response headers.' },
+  kubernetes_proxy_cors_rejections_total: { type: 'counter', help: 'Requests rejected by origin validation.' },
+  kubernetes_proxy_config_errors_total: { type: 'counter', help: 'Requests failed by invalid configuration.' },
+  kubernetes_proxy_websocket_upgrades_total: { type: 'counter', help: 'WebSocket upgrade requests.' },
+};
+
+/** Series kept per metric; further label sets are counted in one overflow series whose labels are all 'other' */
+const MAX_METRIC_SERIES = 500;
+
+/** HTTP methods reported as metric labels (others are reported as 'other') */
+const METRIC_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+/** @type {number[]} */
+const METRIC_HISTOGRAM_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/** @type {number} */
+const DEFAULT_UPSTREAM_TIMEOUT_MS = 30000;
+
+/** @type {number} */
+const DEFAULT_RETRY_BASE_MS = 100;
+
+/** @type {number} */
+const MAX_RETRY_DELAY_MS = 2000;
+
+/** @type {number} */
+const DEFAULT_CIRCUIT_BREAKER_COOLDOWN_MS = 30000;
+
+/** @type {number} */
+const DEFAULT_READINESS_TIMEOUT_MS = 3000;
+
+/** @type {number} */
+const DEFAULT_READINESS_CACHE_MS = 5000;
+
+/** Latest readiness probe results of this isolate, reused for READINESS_CACHE_MS */
+let readinessCache = { key: '', expiresAt: 0, clusters: /** @type {ClusterReadiness[]} */ ([]) };
+
+/** @type {number} */
+const DEFAULT_SSE_HEARTBEAT_MS = 15000;
+
+/** @type {string} */
+const DEFAULT_OTEL_SERVICE_NAME = 'kubernetes-api-proxy';
+
+/** OTLP SpanKind and StatusCode values */
+const OTLP_SPAN_KIND_SERVER = 2;
+const OTLP_STATUS_CODE_ERROR = 2;
+
+/** @type {number[]} */
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+/** Client-facing Status reasons and messages of UpstreamError reasons */
+const UPSTREAM_ERRORS = {
+  connect_failure: { reason: 'ServiceUnavailable', message: 'The Kubernetes API server could not be reached.' },
+  timeout: { reason: 'Timeout', message: 'The Kubernetes API server did not respond in time.' },
+  circuit_open: { reason: 'ServiceUnavailable', message: 'The Kubernetes API server is failing repeatedly; requests are paused.' },
+};
+
+/**
+ * Address ranges an upstream URL may not point to, checked in order so the
+ * most specific label wins
+ * @type {[string, string][]}
+ */
+const UPSTREAM_DENIED_RANGES = [
+  ['0.0.0.0/8', 'unspecified'],
+  ['10.0.0.0/8', 'private'],
+  ['100.64.0.0/10', 'carrier-grade NAT'],
+  ['127.0.0.0/8', 'loopback'],
+  ['169.254.169.254/32', 'cloud metadata'],
+  ['169.254.0.0/16', 'link-local'],
+  ['172.16.0.0/12', 'private'],
+  ['192.0.0.0/24', 'IETF protocol assignment'],
+  ['192.0.2.0/24', 'documentation'],
+  ['192.168.0.0/16', 'private'],
+  ['198.18.0.0/15', 'benchmarking'],
+  ['198.51.100.0/24', 'documentation'],
+  ['203.0.113.0/24', 'documentation'],
+  ['224.0.0.0/4', 'multicast'],
+  ['240.0.0.0/4', 'reserved'],
+  ['::/128', 'unspecified'],
+  ['::1/128', 'loopback'],
+  ['64:ff9b:1::/48', 'NAT64 local-use'],
+  ['100::/64', 'discard-only'],
+  ['2001:db8::/32', 'documentation'],
+  ['fd00:ec2::254/128', 'cloud metadata'],
+  ['fc00::/7', 'unique local'],
+  ['fe80::/10', 'link-local'],
+  ['fec0::/10', 'site-local'],
+  ['ff00::/8', 'multicast'],
+];
+
+/**
+ * IPv6 ranges that embed an IPv4 address, with the byte offset of the embedded address
+ * (IPv4-mapped, NAT64, IPv4-compatible and 6to4)
+ * @type {[string, number][]}
+ */
+const IPV4_EMBEDDING_RANGES = [
+  ['::ffff:0:0/96', 12],
+  ['64:ff9b::/96', 12],
+  ['::/96', 12],
+  ['2002::/16', 2],
+];
+
+/** Hostnames that always resolve to internal services */
+const UPSTREAM_DENIED_HOSTNAMES = {
+  'metadata.google.internal': 'cloud metadata',
+};
+
+/** @type {string} */
+const DNS_OVER_HTTPS_URL = 'https://cloudflare-dns.com/dns-query';
+
+/** @type {number} */
+const MAX_DNS_CACHE_SECONDS = 300;
+
+/** Client request headers forwarded upstream (lowercase) */
+const DEFAULT_REQUEST_HEADER_ALLOWLIST = [
+  'accept',
+  'accept-encoding',
+  'accept-language',
+  'content-type',
+  'content-encoding',
+  'if-match',
+  'if-none-match',
+  'if-modified-since',
+  'if-unmodified-since',
+  'kubectl-command',
+  'kubectl-session',
+  'x-stream-protocol-version',
+  'upgrade',
+  'sec-websocket-key',
+  'sec-websocket-version',
+  'sec-websocket-protocol',
+  'sec-websocket-extensions',
+  'traceparent',
+  'tracestate',
+];
+
+/** Upstream response headers returned to clients (lowercase) */
+const DEFAULT_RESPONSE_HEADER_ALLOWLIST = [
+  'content-type',
+  'content-length',
+  'content-encoding',
+  'etag',
+  'last-modified',
+  'date',
+  'vary',
+  'warning',
+  'retry-after',
+  'location',
+  'www-authenticate',
+  'audit-id',
+  'x-kubernetes-pf-flowschema-uid',
+  'x-kubernetes-pf-prioritylevel-uid',
+  'x-stream-protocol-version',
+];
+
+/** First path segments the proxy forwards to the API server */
+const API_PATH_PREFIXES = ['api', 'apis', 'version', 'openapi', 'healthz', 'readyz', 'livez'];
+
+/** @type {string[]} */
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/** @type {string[]} */
+const READ_ONLY_BLOCKED_SUBRESOURCES = ['exec', 'attach', 'portforward'];
+
+/** @type {number} */
+const DEFAULT_MAX_REQUEST_BODY_BYTES = 3 * 1024 * 1024;
+
+/**
+ * Request body media types the API server accepts, per method
+ * @type {Object<string, string[]>}
+ */
+const ALLOWED_BODY_CONTENT_TYPES = {
+  POST: ['application/json'],
+  PUT: ['application/json'],
+  PATCH: [
+    'application/merge-patch+json',
+    'application/strategic-merge-patch+json',
+    'application/json-patch+json',
+    'application/apply-patch+yaml',
+  ],
+  DELETE: ['application/json'],
+};
+
+/** @type {number} */
+const DEFAULT_SCHEMA_CACHE_SECONDS = 300;
+
+/** @type {number} */
+const MAX_VALIDATION_CAUSES = 20;
+
+/**
+ * Built-in cluster-scoped resources, as 'resource' (core group) or 'group/resource'
+ * @type {Set<string>}
+ */
+const KNOWN_CLUSTER_SCOPED_RESOURCES = new Set([
+  'namespaces',
+  'nodes',
+  'persistentvolumes',
+  'componentstatuses',
+  'apiregistration.k8s.io/apiservices',
+  'apiextensions.k8s.io/customresourcedefinitions',
+  'admissionregistration.k8s.io/mutatingwebhookconfigurations',
+  'admissionregistration.k8s.io/validatingwebhookconfigurations',
+  'admissionregistration.k8s.io/validatingadmissionpolicies',
+  'admissionregistration.k8s.io/validatingadmissionpolicybindings',
+  'authentication.k8s.io/tokenreviews',
+  'authentication.k8s.io/selfsubjectreviews',
+  'authorization.k8s.io/selfsubjectaccessreviews',
+  'authorization.k8s.io/selfsubjectrulesreviews',
+  'authorization.k8s.io/subjectaccessreviews',
+  'certificates.k8s.io/certificatesigningrequests',
+  'flowcontrol.apiserver.k8s.io/flowschemas',
+  'flowcontrol.apiserver.k8s.io/prioritylevelconfigurations',
+  'networking.k8s.io/ingressclasses',
+  'networking.k8s.io/ipaddresses',
+  'networking.k8s.io/servicecidrs',
+  'node.k8s.io/runtimeclasses',
+  'rbac.authorization.k8s.io/clusterroles',
+  'rbac.authorization.k8s.io/clusterrolebindings',
+  'scheduling.k8s.io/priorityclasses',
+  'storage.k8s.io/csidrivers',
+  'storage.k8s.io/csinodes',
+  'storage.k8s.io/storageclasses',
+  'storage.k8s.io/volumeattachments',
+  'storage.k8s.io/volumeattributesclasses',
+]);
+
+/**
+ * Non-negative integer settings with their defaults. They are validated up
+ * front, since Number() turns a typo into NaN and NaN passes every limit check.
+ * @type {Object<string, number>}
+ */
+const INTEGER_SETTINGS = {
+  MAX_REQUEST_BODY_BYTES: DEFAULT_MAX_REQUEST_BODY_BYTES,
+  WEBSOCKET_IDLE_TIMEOUT_MS: DEFAULT_WEBSOCKET_IDLE_TIMEOUT_MS,
+  WEBSOCKET_MAX_DURATION_MS: DEFAULT_WEBSOCKET_MAX_DURATION_MS,
+  SESSION_RECORDING_MAX_BYTES: DEFAULT_SESSION_RECORDING_MAX_BYTES,
+  UPSTREAM_TIMEOUT_MS: DEFAULT_UPSTREAM_TIMEOUT_MS,
+  SSE_HEARTBEAT_MS: DEFAULT_SSE_HEARTBEAT_MS,
+};
+
+/**
+ * Parses an IPv4 literal in any inet_aton form: 1-4 dot-separated parts, each
+ * decimal, octal (leading 0) or hex (leading 0x), the last part filling the
+ * remaining bytes ('127.1', '2130706433', '0x7f.0.0.1', '0177.0.0.1')
+ * @param {string} host - Candidate literal
+ * @returns {number[]|null} Four address bytes, or null if `host` is not an IPv4 literal
+ */
+function parseIpv4(host) {
+  const parts = host.split('.');
+  if (parts.length > 4) {
+    return null;
+  }
+
+  const numbers = [];
+  for (const part of parts) {
+    if (/^0x[0-9a-f]*$/i.test(part)) {
+      numbers.push(part.length === 2 ? 0 : parseInt(part.slice(2), 16));
+    } else if (/^0[0-7]+$/.test(part)) {
+      numbers.push(parseInt(part, 8));
+    } else if (/^(0|[1-9]\d*)$/.test(part)) {
+      numbers.push(Number(part));
+    } else {
+      return null;
+    }
+  }
+
+  const last = numbers.pop();
+  if (numbers.some(number => number > 255) || last >= 256 ** (4 - numbers.length)) {
+    return null;
+  }
+  for (let shift = 3 - numbers.length; shift >= 0; shift--) {
+    numbers.push(Math.floor(last / 256 ** shift) % 256);
+  }
+  return numbers;
+}
+
+/**
+ * Parses an IPv6 literal (without brackets), including '::' compression and a
+ * dotted IPv4 tail. Zone identifiers are not accepted.
+ * @param {string} host - Candidate literal
+ * @returns {number[]|null} Sixteen address bytes, or null if `host` is not an IPv6 literal
+ */
+function parseIpv6(host) {
+  const halves = host.split('::');
+  if (halves.length > 2) {
+    return null;
+  }
+
+  const parseGroups = (text) => {
+    if (text === '') {
+      return [];
+    }
+    const groups = [];
+    const parts = text.split(':');
+    for (const [index, part] of parts.entries()) {
+      if (index === parts.length - 1 && part.includes('.')) {
+        const octets = part.split('.');
+        const ipv4 = octets.length === 4 && octets.every(octet => /^(0|[1-9]\d{0,2})$/.test(octet)) ? parseIpv4(part) : null;
+        if (!ipv4) {
+          return null;
+        }
+        groups.push((ipv4[0] << 8) | ipv4[1], (ipv4[2] << 8) | ipv4[3]);
+      } else if (/^[0-9a-f]{1,4}$/i.test(part)) {
+        groups.push(parseInt(part, 16));
+      } else {
+        return null;
+      }
+    }
+    return groups;
+  };
+
+  const head = parseGroups(halves[0]);
+  const tail = halves.length === 2 ? parseGroups(halves[1]) : [];
+  if (!head || !tail) {
+    return null;
+  }
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 2 ? missing < 1 : missing !== 0) {
+    return null;
+  }
+  return [...head, ...new Array(missing).fill(0), ...tail].flatMap(group => [group >> 8, group & 0xff]);
+}
+
+/**
+ * Parses a URL hostname that may be an IP literal ('[...]' for IPv6)
+ * @param {string} hostname - URL hostname
+ * @returns {number[]|null} Address bytes (4 or 16), or null for DNS names
+ */
+function parseIpAddress(hostname) {
+  if (hostname.startsWith('[') && hostname.endsWith(']')) {
+    return parseIpv6(hostname.slice(1, -1));
+  }
+  return parseIpv4(hostname);
+}
+
+/**
+ * Compiles a CIDR string ('10.0.0.0/8', 'fc00::/7')
+ * @param {string} cidr - Range in CIDR notation
+ * @returns {{cidr: string, bytes: number[], prefix: number}} Compiled range
+ */
+function parseCidr(cidr) {
+  const [address, prefix] = cidr.split('/');
+  return { cidr, bytes: address.includes(':') ? parseIpv6(address) : parseIpv4(address), prefix: Number(prefix) };
+}
+
+/**
+ * Checks whether an address lies in a compiled CIDR range of the same family
+ * @param {{bytes: number[], prefix: number}} range - Compiled range
+ * @param {number[]} bytes - Address bytes
+ * @returns {boolean} True if the address is in the range
+ */
+function cidrContains(range, bytes) {
+  if (range.bytes.length !== bytes.length) {
+    return false;
+  }
+  for (let bit = 0; bit < range.prefix; bit += 8) {
+    const mask = (0xff << (8 - Math.min(8, range.prefix - bit))) & 0xff;
+    if ((range.bytes[bit / 8] & mask) !== (bytes[bit / 8] & mask)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+const deniedRanges = UPSTREAM_DENIED_RANGES.map(([cidr, label]) => ({ ...parseCidr(cidr), label }));
+const ipv4EmbeddingRanges = IPV4_EMBEDDING_RANGES.map(([cidr, offset]) => ({ ...parseCidr(cidr), offset }));
+
+/**
+ * Finds the deny-list range containing an address, looking through IPv6
+ * addresses that embed an IPv4 address
+ * @param {number[]} bytes - Address bytes
+ * @returns {{cidr: string, label: string}|null} Matching range, or null if the address is allowed
+ */
+function findDeniedRange(bytes) {
+  const range = deniedRanges.find(candidate => cidrContains(candidate, bytes));
+  if (range) {
+    return range;
+  }
+  const embedding = ipv4EmbeddingRanges.find(candidate => cidrContains(candidate, bytes));
+  return embedding ? findDeniedRange(bytes.slice(embedding.offset, embedding.offset + 4)) : null;
+}
+
+/**
+ * Checks a hostname against a comma-separated host allowlist. '*.example.com'
+ * matches any subdomain of example.com but not example.com itself.
+ * @param {string} hostname - Lowercase hostname
+ * @param {string} allowedHosts - Comma-separated hosts or patterns
+ * @returns {boolean} True if the host is allowed
+ */
+function matchesHostAllowlist(hostname, allowedHosts) {
+  return allowedHosts.split(',').map(host => host.trim().toLowerCase()).filter(Boolean).some(pattern =>
+    pattern.startsWith('*.') ? hostname.endsWith(pattern.slice(1)) : hostname === pattern
+  );
+}
+
+/**
+ * Parses a non-negative integer setting
+ * @param {string|undefined} raw - Setting value
+ * @param {number} fallback - Value when the setting is unset or empty
+ * @returns {number|null} Parsed value, or null when the value is not a non-negative integer
+ */
+export function parseIntegerSetting(raw, fallback) {
+  if (raw === undefined || raw === null || String(raw).trim() === '') {
+    return fallback;
+  }
+  const value = Number(raw);
+  return Number.isSafeInteger(value) && value >= 0 ? value : null;
+}
+
+/**
+ * Loads every INTEGER_SETTINGS entry, stopping at the first invalid one
+ * @param {Env} env - Environment variables
+ * @returns {{values: Object<string, number>, setting?: string, error?: string}} Parsed values, or the invalid setting
+ */
+export function loadIntegerSettings(env) {
+  /** @type {Object<string, number>} */
+  const values = {};
+  for (const [setting, fallback] of Object.entries(INTEGER_SETTINGS)) {
+    const value = parseIntegerSetting(env[setting], fallback);
+    if (value === null) {
+      return { values, setting, error: `${setting} must be a non-negative integer` };
+    }
+    values[setting] = value;
+  }
+  return { values };
+}
+
 /**
- * Validates that a URL is a properly formatted HTTPS URL
+ * Validates that a URL is a properly formatted HTTPS URL that does not point to
+ * an internal address. IP literals are parsed in every encoding and checked
+ * against a CIDR deny list covering loopback, private, link-local, metadata,
+ * and reserved IPv4/IPv6 ranges.
  * @param {string} urlString - URL to validate
+ * @param {string} [allowedHosts] - Optional comma-separated host allowlist (UPSTREAM_ALLOWED_HOSTS)
  * @returns {{valid: boolean, error?: string}} Validation result
  */
-export function validateApiUrl(urlString) {
+export function validateApiUrl(urlString, allowedHosts = '') {
   if (!urlString || typeof urlString !== 'string') {
     return { valid: false, error: 'URL is required and must be a string' };
   }
-  
-  try {
-    const url = new URL(urlString);
-    if (url.protocol !== 'https:') {
-      return { valid: false, error: 'URL must use HTTPS protocol' };
+
+  let url;
+  try {
+    url = new URL(urlString);
+  } catch {
+    return { valid: false, error: 'URL is malformed' };
+  }
+
+  if (url.protocol !== 'https:') {
+    return { valid: false, error: 'URL must use HTTPS protocol' };
+  }
+  if (!url.hostname || url.hostname.length === 0) {
+    return { valid: false, error: 'URL must have a valid hostname' };
+  }
+  if (url.username || url.password) {
+    return { valid: false, error: 'URL must not contain credentials' };
+  }
+
+  const hostname = url.hostname.toLowerCase().replace(/\.$/, '');
+  if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+    return { valid: false, error: `URL cannot point to localhost (${hostname})` };
+  }
+  if (Object.hasOwn(UPSTREAM_DENIED_HOSTNAMES, hostname)) {
+    return { valid: false, error: `URL cannot point to ${UPSTREAM_DENIED_HOSTNAMES[hostname]} host ${hostname}` };
+  }
+
+  const address = parseIpAddress(hostname);
+  const deniedRange = address && findDeniedRange(address);
+  if (deniedRange) {
+    return { valid: false, error: `URL cannot point to ${deniedRange.label} address ${hostname} (${deniedRange.cidr})` };
+  }
+
+  if (allowedHosts && !matchesHostAllowlist(hostname, allowedHosts)) {
+    return { valid: false, error: `URL host ${hostname} is not in UPSTREAM_ALLOWED_HOSTS` };
+  }
+  return { valid: true };
+}
+
+/** @type {Map<string, {addresses: string[], expiresAt: number}>} */
+const dnsCache = new Map();
+
+/**
+ * Resolves a hostname over DNS-over-HTTPS and rejects it if any A/AAAA record
+ * is in the upstream deny list, so a public name cannot be pointed at an
+ * internal address. Results are cached for the record TTL (at most 5 minutes).
+ * @param {string} hostname - Upstream hostname
+ * @returns {Promise<{valid: boolean, error?: string}>} Validation result
+ */
+export async function validateResolvedHost(hostname) {
+  if (parseIpAddress(hostname)) {
+    return { valid: true };
+  }
+
+  let entry = dnsCache.get(hostname);
+  if (!entry || entry.expiresAt <= Date.now()) {
+    let answers;
+    try {
+      answers = await Promise.all(['A', 'AAAA'].map(async (type) => {
+        const response = await fetch(`${DNS_OVER_HTTPS_URL}?name=${encodeURIComponent(hostname)}&type=${type}`, {
+          headers: { Accept: 'application/dns-json' },
+        });
+        if (!response.ok) {
+          throw new Error(`status ${response.status}`);
+        }
+        const result = await response.json();
+        return (result.Answer ?? []).filter(answer => answer.type === 1 || answer.type === 28);
+      }));
+    } catch (err) {
+      return { valid: false, error: `DNS lookup for ${hostname} failed: ${err.message}` };
+    }
+
+    const records = answers.flat();
+    const ttlSeconds = Math.min(MAX_DNS_CACHE_SECONDS, ...records.map(record => record.TTL ?? 0));
+    entry = { addresses: records.map(record => record.data), expiresAt: Date.now() + ttlSeconds * 1000 };
+    dnsCache.set(hostname, entry);
+  }
+
+  if (entry.addresses.length === 0) {
+    return { valid: false, error: `Host ${hostname} did not resolve to any address` };
+  }
+  for (const address of entry.addresses) {
+    const bytes = parseIpAddress(address.includes(':') ? `[${address}]` : address);
+    const deniedRange = bytes ? findDeniedRange(bytes) : null;
+    if (deniedRange) {
+      return { valid: false, error: `Host ${hostname} resolves to ${deniedRange.label} address ${address} (${deniedRange.cidr})` };
+    }
+  }
+  return { valid: true };
+}
+
+/**
+ * Validates the request origin against allowed origins
+ * @param {string|null} origin - Request origin header
+ * @param {string} allowedOrigins - Comma-separated list of allowed origins or '*'
+ * @returns {{allowed: boolean, matchedOrigin: string}} Validation result
+ */
+export function validateOrigin(origin, allowedOrigins) {
+  // If allowed is '*', allow all
+  if (allowedOrigins === '*') {
+    return { allowed: true, matchedOrigin: '*' };
+  }
+  
+  // If no origin header, reject for strict CORS
+  if (!origin) {
+    return { allowed: false, matchedOrigin: '' };
+  }
+  
+  // Parse allowed origins list
+  const allowedList = allowedOrigins.split(',').map(o => o.trim().toLowerCase());
+  const requestOrigin = origin.toLowerCase();
+  
+  // Check for exact match
+  if (allowedList.includes(requestOrigin)) {
+    return { allowed: true, matchedOrigin: origin };
+  }
+  
+  // Check for wildcard subdomain matching (e.g., *.example.com)
+  for (const allowed of allowedList) {
+    if (allowed.startsWith('*.')) {
+      const baseDomain = allowed.slice(2);
+      try {
+        const originUrl = new URL(requestOrigin);
+        if (originUrl.hostname.endsWith('.' + baseDomain) || originUrl.hostname === baseDomain) {
+          return { allowed: true, matchedOrigin: origin };
+        }
+      } catch {
+        // Invalid origin URL, continue checking
+      }
+    }
+  }
+  
+  return { allowed: false, matchedOrigin: '' };
+}
+
+/**
+ * Checks a lowercase header name against allowlist entries ('name' or 'prefix-*')
+ * @param {string} name - Lowercase header name
+ * @param {string[]} allowlist - Lowercase allowlist entries
+ * @returns {boolean} True if the header is allowed
+ */
+function matchesHeaderAllowlist(name, allowlist) {
+  return allowlist.some(entry => (entry.endsWith('*') ? name.startsWith(entry.slice(0, -1)) : name === entry));
+}
+
+/**
+ * Combines a default header allowlist with a comma-separated extension
+ * @param {string[]} defaults - Default entries
+ * @param {string|undefined} extra - Operator-configured entries
+ * @returns {string[]} Lowercase allowlist
+ */
+function buildHeaderAllowlist(defaults, extra) {
+  return [...defaults, ...(extra || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean)];
+}
+
+/**
+ * Copies only allowlisted client headers for the upstream request. Cookies,
+ * client credentials, CF-* and front-proxy (X-Remote-*) headers are dropped
+ * unless REQUEST_HEADER_ALLOWLIST names them. Impersonate-* headers are only
+ * forwarded when FORWARD_IMPERSONATION_HEADERS is enabled, since the API
+ * server would evaluate them with the proxy's privileged token.
+ * @param {Headers} headers - Client request headers
+ * @param {Env} env - Environment variables
+ * @returns {Headers} Headers safe to send upstream
+ */
+export function filterRequestHeaders(headers, env) {
+  const allowlist = buildHeaderAllowlist(DEFAULT_REQUEST_HEADER_ALLOWLIST, env.REQUEST_HEADER_ALLOWLIST);
+  const forwardImpersonation = isFlagEnabled(env.FORWARD_IMPERSONATION_HEADERS);
+  const filtered = new Headers();
+  for (const [name, value] of headers) {
+    const allowed = name.startsWith('impersonate-') ? forwardImpersonation : matchesHeaderAllowlist(name, allowlist);
+    if (allowed) {
+      filtered.append(name, value);
+    }
+  }
+  return filtered;
+}
+
+/**
+ * Copies only allowlisted upstream response headers for the client
+ * @param {Headers} headers - Upstream response headers
+ * @param {Env} env - Environment variables
+ * @returns {Headers} Headers safe to return to the client
+ */
+export function filterResponseHeaders(headers, env) {
+  const allowlist = buildHeaderAllowlist(DEFAULT_RESPONSE_HEADER_ALLOWLIST, env.RESPONSE_HEADER_ALLOWLIST);
+  const filtered = new Headers();
+  for (const [name, value] of headers) {
+    if (matchesHeaderAllowlist(name, allowlist)) {
+      filtered.append(name, value);
+    }
+  }
+  return filtered;
+}
+
+/**
+ * Percent-encodes a decoded path segment, leaving the RFC 3986 pchar
+ * delimiters (':', '@', sub-delims) readable
+ * @param {string} segment - Decoded segment
+ * @returns {string} Encoded segment
+ */
+function encodePathSegment(segment) {
+  return encodeURIComponent(segment).replace(/%(21|24|26|27|28|29|2A|2B|2C|3A|3B|3D|40)/g, (match) => decodeURIComponent(match));
+}
+
+/**
+ * Normalizes an API path before it is authorized and forwarded. Each segment
+ * is percent-decoded exactly once, dot-segments are resolved per RFC 3986
+ * section 5.2.4 and empty segments are dropped. Encoded slashes/backslashes,
+ * null bytes and malformed escapes are rejected rather than repaired, and
+ * the result must start with a known Kubernetes API prefix.
+ * @param {string} path - Raw (still percent-encoded) path
+ * @returns {{valid: boolean, path?: string, status?: 400|404, error?: string}} Normalized, re-encoded path or rejection
+ */
+export function normalizeApiPath(path) {
+  if (/%(2f|5c)/i.test(path)) {
+    return { valid: false, status: 400, error: 'path must not contain encoded slashes' };
+  }
+
+  /** @type {string[]} */
+  const segments = [];
+  for (const rawSegment of path.split('/')) {
+    let segment;
+    try {
+      segment = decodeURIComponent(rawSegment);
+    } catch {
+      return { valid: false, status: 400, error: 'path contains an invalid percent-encoding' };
+    }
+    if (segment.includes('\0')) {
+      return { valid: false, status: 400, error: 'path must not contain null bytes' };
+    }
+
+    if (segment === '..') {
+      segments.pop();
+    } else if (segment !== '.' && segment !== '') {
+      segments.push(segment);
+    }
+  }
+
+  const normalized = '/' + segments.map(encodePathSegment).join('/');
+  if (!API_PATH_PREFIXES.includes(segments[0])) {
+    return { valid: false, status: 404, error: `${normalized} is not a Kubernetes API path` };
+  }
+  return { valid: true, path: normalized };
+}
+
+/**
+ * Error raised when the upstream API server cannot serve a request
+ */
+export class UpstreamError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Error details
+   * @param {'timeout'|'circuit_open'|'connect_failure'} options.reason - What went wrong
+   * @param {number} options.status - HTTP status to return (502, 503 or 504)
+   * @param {number} [options.retryAfterSeconds] - Suggested client back-off
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, { reason, status, retryAfterSeconds, cause }) {
+    super(message, { cause });
+    this.name = 'UpstreamError';
+    this.reason = reason;
+    this.status = status;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+/**
+ * Creates a sanitized `Status` error response for an unexpected or upstream
+ * error. The UpstreamError reason is reported as `details.causes[0].reason`;
+ * the error message and stack are only included in development.
+ * @param {Error} err - The error object
+ * @param {string} requestId - Request ID for tracking
+ * @param {string} environment - Current environment (development/production)
+ * @param {string} allowedOrigin - CORS allowed origin
+ * @returns {Response} Status response
+ */
+export function createErrorResponse(err, requestId, environment, allowedOrigin) {
+  const isDev = environment === 'development';
+  const isUpstreamError = err instanceof UpstreamError && Object.hasOwn(UPSTREAM_ERRORS, err.reason);
+  const { reason, message } = UPSTREAM_ERRORS[isUpstreamError ? err.reason : 'connect_failure'];
+  const code = isUpstreamError ? err.status : 502;
+
+  /** @type {Object} */
+  const details = {};
+  if (isUpstreamError || isDev) {
+    details.causes = [{
+      ...(isUpstreamError && { reason: err.reason }),
+      // Only include internals in development mode
+      ...(isDev && { message: err.message }),
+    }];
+  }
+  if (isDev) {
+    details.stack = err.stack;
+  }
+  /** @type {Object<string, string>} */
+  const headers = {};
+  if (err.retryAfterSeconds) {
+    details.retryAfterSeconds = err.retryAfterSeconds;
+    headers['Retry-After'] = String(err.retryAfterSeconds);
+    headers['Access-Control-Expose-Headers'] = 'X-Request-ID, Retry-After';
+  }
+
+  return createStatusResponse(code, reason, message, { requestId, allowedOrigin, details, headers });
+}
+
+/**
+ * Creates a Kubernetes `Status` error response
+ * @param {number} code - HTTP status code
+ * @param {string} reason - Kubernetes StatusReason (e.g. 'Unauthorized', 'Forbidden')
+ * @param {string} message - Human-readable error message
+ * @param {Object} [options] - Additional response options
+ * @param {string} [options.requestId] - Request ID for tracking
+ * @param {string} [options.allowedOrigin] - CORS allowed origin ('' omits Access-Control-Allow-Origin)
+ * @param {Object} [options.details] - Extra fields for the Status `details` object
+ * @param {Object<string, string>} [options.headers] - Extra response headers
+ * @returns {Response} Status response
+ */
+export function createStatusResponse(code, reason, message, { requestId, allowedOrigin = '*', details = {}, headers = {} } = {}) {
+  const status = {
+    kind: 'Status',
+    apiVersion: 'v1',
+    metadata: {},
+    status: 'Failure',
+    message,
+    reason,
+    details: { ...details, requestId },
+    code,
+  };
+
+  return new Response(JSON.stringify(status), {
+    status: code,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(allowedOrigin && { 'Access-Control-Allow-Origin': allowedOrigin }),
+      'Access-Control-Expose-Headers': 'X-Request-ID',
+      ...(requestId && { 'X-Request-ID': requestId }),
+      ...headers,
+    },
+  });
+}
+
+/**
+ * Decodes a base64url string into bytes
+ * @param {string} input - base64url-encoded string
+ * @returns {Uint8Array} Decoded bytes
+ */
+function base64UrlDecode(input) {
+  const base64 = input.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  return Uint8Array.from(atob(padded), c => c.charCodeAt(0));
+}
+
+/**
+ * Encodes bytes as unpadded base64url
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} base64url-encoded string
+ */
+function base64UrlEncode(bytes) {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Computes the hex-encoded SHA-256 digest of a string
+ * @param {string} value - Value to hash
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+async function sha256Hex(value) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Compares two strings in constant time (for equal-length inputs)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if both strings are identical
+ */
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  let mismatch = 0;
+  for (let i = 0; i < a.length; i++) {
+    mismatch |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return mismatch === 0;
+}
+
+/**
+ * Fetches a JWKS document, caching it per URL
+ * @param {string} jwksUrl - JWKS endpoint
+ * @param {boolean} [forceRefresh] - Bypass the cache (e.g. after key rotation)
+ * @returns {Promise<Object[]>} JSON Web Keys
+ */
+async function getJwks(jwksUrl, forceRefresh = false) {
+  const cached = jwksCache.get(jwksUrl);
+  if (!forceRefresh && cached && cached.expiresAt > Date.now()) {
+    return cached.keys;
+  }
+
+  const response = await fetch(jwksUrl, { headers: { Accept: 'application/json' } });
+  if (!response.ok) {
+    throw new Error(`JWKS request failed with status ${response.status}`);
+  }
+  const { keys } = await response.json();
+  if (!Array.isArray(keys)) {
+    throw new Error('JWKS document has no keys');
+  }
+
+  jwksCache.set(jwksUrl, { keys, expiresAt: Date.now() + JWKS_CACHE_TTL_MS });
+  return keys;
+}
+
+/**
+ * Verifies a compact JWS token against a JWKS and validates its registered claims
+ * @param {string} token - Compact-serialized JWT
+ * @param {Object} options - Verification options
+ * @param {string} options.jwksUrl - JWKS endpoint holding the signing keys
+ * @param {string} [options.issuer] - Required `iss` claim
+ * @param {string} [options.audience] - Required `aud` claim
+ * @returns {Promise<{valid: boolean, claims?: Object, error?: string, unavailable?: boolean}>} Verification result
+ */
+export async function verifyJwt(token, { jwksUrl, issuer, audience }) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return { valid: false, error: 'Token is not a JWT' };
+  }
+
+  let header;
+  let claims;
+  try {
+    const decoder = new TextDecoder();
+    header = JSON.parse(decoder.decode(base64UrlDecode(parts[0])));
+    claims = JSON.parse(decoder.decode(base64UrlDecode(parts[1])));
+  } catch {
+    return { valid: false, error: 'Token is malformed' };
+  }
+  if (!header || typeof header !== 'object' || !claims || typeof claims !== 'object' || Array.isArray(claims)) {
+    return { valid: false, error: 'Token is malformed' };
+  }
+
+  const algorithm = JWT_ALGORITHMS[header.alg];
+  if (!algorithm) {
+    return { valid: false, error: `Unsupported token algorithm: ${header.alg}` };
+  }
+
+  const findKey = keys => keys.find(k => (!header.kid || k.kid === header.kid) && (!k.alg || k.alg === header.alg));
+  let jwk;
+  try {
+    jwk = findKey(await getJwks(jwksUrl));
+    if (!jwk) {
+      jwk = findKey(await getJwks(jwksUrl, true));
+    }
+  } catch (err) {
+    return { valid: false, unavailable: true, error: `Signing keys unavailable: ${err.message}` };
+  }
+  if (!jwk) {
+    return { valid: false, error: 'No matching signing key' };
+  }
+
+  try {
+    const key = await crypto.subtle.importKey('jwk', jwk, algorithm.importParams, false, ['verify']);
+    const signed = new TextEncoder().encode(`${parts[0]}.${parts[1]}`);
+    const verified = await crypto.subtle.verify(algorithm.verifyParams, key, base64UrlDecode(parts[2]), signed);
+    if (!verified) {
+      return { valid: false, error: 'Invalid token signature' };
+    }
+  } catch {
+    return { valid: false, error: 'Invalid token signature' };
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number') {
+    return { valid: false, error: 'Token has no expiry' };
+  }
+  if (claims.exp + JWT_CLOCK_SKEW_SECONDS < now) {
+    return { valid: false, error: 'Token has expired' };
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf - JWT_CLOCK_SKEW_SECONDS > now) {
+    return { valid: false, error: 'Token is not yet valid' };
+  }
+  if (issuer && claims.iss !== issuer) {
+    return { valid: false, error: 'Token issuer mismatch' };
+  }
+  if (audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(audience)) {
+      return { valid: false, error: 'Token audience mismatch' };
+    }
+  }
+
+  return { valid: true, claims };
+}
+
+/**
+ * Client authentication providers, keyed by the name used in AUTH_METHODS.
+ * Each provider returns null when the request carries no credentials for it,
+ * so the next configured provider can be tried.
+ * @type {Object<string, (request: Request, env: Env) => Promise<AuthResult|null>>}
+ */
+const AUTH_PROVIDERS = {
+  async jwt(request, env) {
+    const authorization = request.headers.get('Authorization') || '';
+    const token = request.headers.get('Cf-Access-Jwt-Assertion') ||
+      (authorization.toLowerCase().startsWith('bearer ') ? authorization.slice(7).trim() : '');
+    if (!token) {
+      return null;
+    }
+    if (!env.AUTH_JWKS_URL) {
+      return { authenticated: false, error: 'JWT authentication is not configured' };
+    }
+
+    const result = await verifyJwt(token, {
+      jwksUrl: env.AUTH_JWKS_URL,
+      issuer: env.AUTH_JWT_ISSUER,
+      audience: env.AUTH_JWT_AUDIENCE,
+    });
+    if (!result.valid) {
+      return { authenticated: false, error: result.error, unavailable: result.unavailable };
+    }
+
+    const { claims } = result;
+    const subject = [claims.email, claims.sub].find(value => typeof value === 'string' && value !== '');
+    if (!subject) {
+      return { authenticated: false, error: 'Token has no subject' };
+    }
+    return {
+      authenticated: true,
+      identity: {
+        subject,
+        groups: Array.isArray(claims.groups) ? claims.groups : [],
+        method: 'jwt',
+        claims,
+      },
+    };
+  },
+
+  async apikey(request, env) {
+    const apiKey = request.headers.get('X-API-Key');
+    if (!apiKey) {
+      return null;
+    }
+
+    let keyHashes;
+    try {
+      keyHashes = JSON.parse(env.AUTH_API_KEYS || '{}');
+    } catch {
+      return { authenticated: false, error: 'API key authentication is misconfigured' };
+    }
+
+    const digest = await sha256Hex(apiKey);
+    for (const [name, hash] of Object.entries(keyHashes)) {
+      if (typeof hash === 'string' && timingSafeEqual(digest, hash.toLowerCase())) {
+        return { authenticated: true, identity: { subject: name, groups: [], method: 'apikey' } };
+      }
+    }
+    return { authenticated: false, error: 'Invalid API key' };
+  },
+};
+
+/**
+ * Authenticates the calling client using the methods configured in AUTH_METHODS
+ * @param {Request} request - Incoming request
+ * @param {Env} env - Environment variables
+ * @returns {Promise<AuthResult>} Authentication result
+ */
+export async function authenticateRequest(request, env) {
+  const methods = (env.AUTH_METHODS || '').split(',').map(m => m.trim().toLowerCase()).filter(Boolean);
+  if (methods.length === 0) {
+    return { authenticated: true, identity: null };
+  }
+
+  for (const method of methods) {
+    const provider = AUTH_PROVIDERS[method];
+    if (!provider) {
+      return { authenticated: false, error: `Unknown authentication method: ${method}` };
+    }
+    const result = await provider(request, env);
+    if (result) {
+      return result;
+    }
+  }
+
+  return { authenticated: false, error: 'No credentials provided' };
+}
+
+/**
+ * Builds the string a signed URL's HMAC covers: the method, the exact path,
+ * the remaining query parameters in sorted order and the encoded claims
+ * @param {URL} url - Resource URL
+ * @param {string} claims - base64url-encoded claims
+ * @returns {Uint8Array} Bytes to sign
+ */
+function buildSignedUrlPayload(url, claims) {
+  const query = new URLSearchParams([...url.searchParams].filter(([name]) => name !== SIGNED_URL_PARAM));
+  query.sort();
+  return new TextEncoder().encode(['GET', url.pathname, query.toString(), claims].join('\n'));
+}
+
+/**
+ * Imports URL_SIGNING_SECRET as an HMAC-SHA256 key
+ * @param {string} secret - Signing secret
+ * @param {KeyUsage} usage - 'sign' or 'verify'
+ * @returns {Promise<CryptoKey>} HMAC key
+ */
+function importSigningKey(secret, usage) {
+  return crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, [usage]);
+}
+
+/**
+ * Signs a URL for GET requests on behalf of an authenticated client. The
+ * signature binds the path, the query and the signer's subject and groups,
+ * plus the verified claims named in `claimNames` (those IMPERSONATION_MAPPING reads)
+ * @param {string} secret - URL_SIGNING_SECRET
+ * @param {URL} url - Resource URL to sign
+ * @param {ClientIdentity} identity - Identity of the signing client
+ * @param {number} expiresAt - Expiry in seconds since the epoch
+ * @param {string[]} [claimNames] - Claims carried in the signature for the link's holder
+ * @returns {Promise<URL>} Copy of the URL with the signature parameter
+ */
+export async function signResourceUrl(secret, url, identity, expiresAt, claimNames = []) {
+  const signed = new URL(url);
+  signed.searchParams.delete(SIGNED_URL_PARAM);
+  const carried = Object.fromEntries(claimNames
+    .map(name => [name, getClaim(identity.claims, name)])
+    .filter(([, value]) => value !== undefined));
+  const claims = base64UrlEncode(new TextEncoder().encode(JSON.stringify({
+    sub: identity.subject,
+    groups: identity.groups,
+    ...(Object.keys(carried).length > 0 && { claims: carried }),
+    exp: expiresAt,
+  })));
+  const key = await importSigningKey(secret, 'sign');
+  const signature = new Uint8Array(await crypto.subtle.sign('HMAC', key, buildSignedUrlPayload(signed, claims)));
+  signed.searchParams.set(SIGNED_URL_PARAM, `${claims}.${base64UrlEncode(signature)}`);
+  return signed;
+}
+
+/**
+ * Verifies a signed URL, restoring the signer's identity
+ * @param {string|undefined} secret - URL_SIGNING_SECRET
+ * @param {string} method - HTTP method of the request
+ * @param {URL} url - Request URL including the signature parameter
+ * @param {number} [now] - Current time in seconds since the epoch
+ * @returns {Promise<AuthResult>} Authentication result
+ */
+export async function verifySignedUrl(secret, method, url, now = Math.floor(Date.now() / 1000)) {
+  if (!secret) {
+    return { authenticated: false, error: 'Signed URLs are not enabled' };
+  }
+  if (method !== 'GET') {
+    return { authenticated: false, error: 'Signed URLs only allow GET requests' };
+  }
+  const [claims, signature, ...rest] = (url.searchParams.get(SIGNED_URL_PARAM) || '').split('.');
+  if (!claims || !signature || rest.length > 0) {
+    return { authenticated: false, error: 'Malformed URL signature' };
+  }
+
+  let verified = false;
+  let payload;
+  try {
+    const key = await importSigningKey(secret, 'verify');
+    verified = await crypto.subtle.verify('HMAC', key, base64UrlDecode(signature), buildSignedUrlPayload(url, claims));
+    payload = verified ? JSON.parse(new TextDecoder().decode(base64UrlDecode(claims))) : null;
+  } catch {
+    verified = false;
+  }
+  if (!verified || typeof payload?.sub !== 'string' || typeof payload.exp !== 'number') {
+    return { authenticated: false, error: 'Invalid URL signature' };
+  }
+  if (payload.exp <= now) {
+    return { authenticated: false, error: 'Signed URL has expired' };
+  }
+  const carried = payload.claims && typeof payload.claims === 'object' && !Array.isArray(payload.claims) ? payload.claims : null;
+  return {
+    authenticated: true,
+    identity: {
+      subject: payload.sub,
+      groups: Array.isArray(payload.groups) ? payload.groups : [],
+      method: 'signed-url',
+      ...(carried && { claims: carried }),
+    },
+  };
+}
+
+/**
+ * Loads the IMPERSONATION_MAPPING setting
+ * @param {Env} env - Environment variables
+ * @returns {{mapping: ImpersonationMapping|null, error?: string}} Mapping (null when impersonation is disabled)
+ */
+export function loadImpersonationMapping(env) {
+  if (!env.IMPERSONATION_MAPPING) {
+    return { mapping: null };
+  }
+  const mapping = tryParseJson(env.IMPERSONATION_MAPPING);
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return { mapping: null, error: 'IMPERSONATION_MAPPING must be a JSON object' };
+  }
+  for (const field of ['user', 'userPrefix', 'groups', 'groupPrefix', 'uid']) {
+    if (mapping[field] !== undefined && typeof mapping[field] !== 'string') {
+      return { mapping: null, error: `IMPERSONATION_MAPPING.${field} must be a string` };
+    }
+  }
+  if (mapping.staticGroups !== undefined && !(Array.isArray(mapping.staticGroups) && mapping.staticGroups.every(group => typeof group === 'string'))) {
+    return { mapping: null, error: 'IMPERSONATION_MAPPING.staticGroups must be an array of strings' };
+  }
+  if (mapping.staticGroups?.length > 1) {
+    return { mapping: null, error: 'IMPERSONATION_MAPPING.staticGroups can hold only one group' };
+  }
+  if (mapping.extra !== undefined && (typeof mapping.extra !== 'object' || Array.isArray(mapping.extra) || !Object.values(mapping.extra).every(claim => typeof claim === 'string'))) {
+    return { mapping: null, error: 'IMPERSONATION_MAPPING.extra must map extra keys to claim names' };
+  }
+  return { mapping };
+}
+
+/**
+ * Reads a claim by exact name, falling back to a dotted path ('realm_access.roles')
+ * @param {Object|undefined} claims - Verified JWT claims
+ * @param {string} name - Claim name or dotted path
+ * @returns {any} Claim value, or undefined
+ */
+function getClaim(claims, name) {
+  if (!claims) {
+    return undefined;
+  }
+  if (Object.hasOwn(claims, name)) {
+    return claims[name];
+  }
+  return name.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), claims);
+}
+
+/**
+ * Lists the claims an impersonation mapping reads
+ * @param {ImpersonationMapping} mapping - Claim mapping
+ * @returns {string[]} Claim names or dotted paths
+ */
+function mappedClaimNames(mapping) {
+  return [mapping.user, mapping.groups, mapping.uid, ...Object.values(mapping.extra || {})].filter(Boolean);
+}
+
+/**
+ * Builds the Impersonate-* headers for a verified client identity. Claims are
+ * read from the verified JWT; API key identities only have their subject and groups.
+ *
+ * The API server reads every Impersonate-Group and Impersonate-Extra-<key> line
+ * as one value, but fetch Headers join repeated names into a single "a, b" line.
+ * Identities that would need more than one group, or more than one value for an
+ * extra key, are therefore refused rather than impersonated with a bogus group.
+ * @param {ClientIdentity} identity - Authenticated client
+ * @param {ImpersonationMapping} mapping - Claim mapping
+ * @returns {{headers: [string, string][], error?: string}} Header name/value pairs, or the reason none can be built
+ */
+export function buildImpersonationHeaders(identity, mapping) {
+  const user = mapping.user ? getClaim(identity.claims, mapping.user) : identity.subject;
+  if (typeof user !== 'string' || !user) {
+    return { headers: [], error: `identity has no ${mapping.user ? `"${mapping.user}" claim` : 'subject'} to impersonate` };
+  }
+
+  /** @type {[string, string][]} */
+  const headers = [['Impersonate-User', (mapping.userPrefix || '') + user]];
+
+  const groupClaim = mapping.groups ? getClaim(identity.claims, mapping.groups) : identity.groups;
+  const groups = (Array.isArray(groupClaim) ? groupClaim : [groupClaim])
+    .filter(group => typeof group === 'string' && group)
+    .map(group => (mapping.groupPrefix || '') + group)
+    .concat(mapping.staticGroups || []);
+  if (groups.length > 1) {
+    return { headers: [], error: `identity maps to ${groups.length} groups, but only one Impersonate-Group can be sent` };
+  }
+  for (const group of groups) {
+    headers.push(['Impersonate-Group', group]);
+  }
+
+  if (mapping.uid) {
+    const uid = getClaim(identity.claims, mapping.uid);
+    if (typeof uid === 'string' || typeof uid === 'number') {
+      headers.push(['Impersonate-Uid', String(uid)]);
+    }
+  }
+
+  for (const [key, claim] of Object.entries(mapping.extra || {})) {
+    const value = getClaim(identity.claims, claim);
+    const items = (Array.isArray(value) ? value : [value])
+      .filter(item => typeof item === 'string' || typeof item === 'number' || typeof item === 'boolean');
+    if (items.length > 1) {
+      return { headers: [], error: `identity maps to ${items.length} values for extra "${key}", but only one can be sent` };
+    }
+    for (const item of items) {
+      // Extra keys travel in the header name, so they are percent-encoded like kubectl does
+      headers.push([`Impersonate-Extra-${encodeURIComponent(key)}`, String(item)]);
+    }
+  }
+  return { headers };
+}
+
+/**
+ * Parses a Kubernetes API path into its resource coordinates, following the
+ * same rules as the API server's RequestInfoFactory
+ * @param {string} method - HTTP method
+ * @param {string} path - Normalized API path (without the '/kubernetes' prefix)
+ * @param {URLSearchParams} [searchParams] - Query parameters (used to detect watches)
+ * @returns {RequestInfo} Parsed request info
+ */
+export function parseRequestInfo(method, path, searchParams = new URLSearchParams()) {
+  const parts = path.split('/').filter(Boolean);
+  /** @type {RequestInfo} */
+  const info = {
+    path,
+    isResourceRequest: false,
+    verb: method.toLowerCase(),
+    apiPrefix: parts[0] || '',
+    group: '',
+    version: '',
+    namespace: '',
+    resource: '',
+    name: '',
+    subresource: '',
+  };
+
+  let rest;
+  if (parts[0] === 'api' && parts.length >= 2) {
+    info.version = parts[1];
+    rest = parts.slice(2);
+  } else if (parts[0] === 'apis' && parts.length >= 3) {
+    info.group = parts[1];
+    info.version = parts[2];
+    rest = parts.slice(3);
+  } else {
+    return info;
+  }
+
+  let isWatch = ['1', 'true'].includes(searchParams.get('watch'));
+  if (rest[0] === 'watch') {
+    isWatch = true;
+    rest = rest.slice(1);
+  }
+  if (rest.length === 0) {
+    return info;
+  }
+
+  if (rest[0] === 'namespaces' && rest.length > 1) {
+    info.namespace = rest[1];
+    // namespaces/{name}/status and /finalize are subresources of the namespace itself
+    if (rest.length > 2 && !['status', 'finalize'].includes(rest[2])) {
+      rest = rest.slice(2);
+    }
+  }
+
+  info.isResourceRequest = true;
+  info.resource = rest[0];
+  info.name = rest[1] || '';
+  info.subresource = rest.slice(2).join('/');
+  if (info.resource === 'namespaces') {
+    info.name = info.namespace;
+    info.namespace = '';
+  }
+
+  switch (method.toUpperCase()) {
+    case 'GET':
+    case 'HEAD':
+      info.verb = isWatch ? 'watch' : info.name ? 'get' : 'list';
+      break;
+    case 'POST':
+      info.verb = 'create';
+      break;
+    case 'PUT':
+      info.verb = 'update';
+      break;
+    case 'PATCH':
+      info.verb = 'patch';
+      break;
+    case 'DELETE':
+      info.verb = info.name ? 'delete' : 'deletecollection';
+      break;
+  }
+  return info;
+}
+
+/**
+ * Tests a value against a rule field list ('*' matches anything)
+ * @param {string[]|undefined} allowed - Values listed in the rule (undefined matches anything)
+ * @param {string} value - Value from the request
+ * @returns {boolean} True if the value matches
+ */
+function matchesList(allowed, value) {
+  if (!allowed) {
+    return true;
+  }
+  return allowed.some(a => a === '*' || a === value);
+}
+
+/**
+ * Tests a path against a glob pattern ('*' matches one segment, '**' any number)
+ * @param {string} pattern - Glob pattern
+ * @param {string} path - Request path
+ * @returns {boolean} True if the path matches
+ */
+function matchesPathGlob(pattern, path) {
+  const source = pattern
+    .split('**')
+    .map(chunk => chunk.split('*').map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*'))
+    .join('.*');
+  return new RegExp(`^${source}$`).test(path);
+}
+
+/**
+ * Checks whether a single policy rule applies to a request
+ * @param {PolicyRule} rule - Policy rule
+ * @param {string} method - HTTP method
+ * @param {RequestInfo} info - Parsed request info
+ * @returns {boolean} True if every field in the rule matches
+ */
+function ruleMatches(rule, method, info) {
+  if (rule.path && !matchesPathGlob(rule.path, info.path)) {
+    return false;
+  }
+  if (rule.scope) {
+    if (!info.isResourceRequest) {
+      return false;
+    }
+    const scope = info.namespace ? 'namespaced' : 'cluster';
+    if (rule.scope !== scope) {
+      return false;
+    }
+  }
+  return matchesList(rule.methods, method.toUpperCase()) &&
+    matchesList(rule.verbs, info.verb) &&
+    matchesList(rule.apiGroups, info.group) &&
+    matchesList(rule.resources, info.resource) &&
+    matchesList(rule.subresources, info.subresource) &&
+    matchesList(rule.namespaces, info.namespace) &&
+    matchesList(rule.names, info.name);
+}
+
+/**
+ * Evaluates policy rules in order; the first matching rule decides
+ * @param {PolicyRule[]} rules - Ordered policy rules
+ * @param {string} method - HTTP method
+ * @param {RequestInfo} info - Parsed request info
+ * @param {'allow'|'deny'} [defaultEffect] - Effect when no rule matches
+ * @returns {{allowed: boolean, rule: string|null}} Decision and the name of the matching rule
+ */
+export function evaluatePolicy(rules, method, info, defaultEffect = 'deny') {
+  for (const [index, rule] of rules.entries()) {
+    if (ruleMatches(rule, method, info)) {
+      return { allowed: rule.effect === 'allow', rule: rule.name || `rule[${index}]` };
+    }
+  }
+  return { allowed: defaultEffect === 'allow', rule: null };
+}
+
+/**
+ * Loads policy rules from POLICY_RULES or the POLICY_KV namespace
+ * @param {Env} env - Environment variables
+ * @returns {Promise<{rules: PolicyRule[]|null, error?: string}>} Rules (null when no policy is configured)
+ */
+export async function loadPolicyRules(env) {
+  let rules;
+  try {
+    if (env.POLICY_RULES) {
+      rules = JSON.parse(env.POLICY_RULES);
+    } else if (env.POLICY_KV) {
+      rules = await env.POLICY_KV.get(env.POLICY_KV_KEY || 'policy', { type: 'json', cacheTtl: 60 });
+    }
+  } catch {
+    return { rules: null, error: 'Policy rules are not valid JSON' };
+  }
+
+  if (rules === undefined || rules === null) {
+    return { rules: null };
+  }
+  if (!Array.isArray(rules)) {
+    return { rules: null, error: 'Policy rules must be an array' };
+  }
+  for (const [index, rule] of rules.entries()) {
+    if (!rule || !['allow', 'deny'].includes(rule.effect)) {
+      return { rules: null, error: `Policy rule ${rule?.name || index} must have effect 'allow' or 'deny'` };
+    }
+  }
+  return { rules };
+}
+
+/**
+ * Interprets a string environment variable as a boolean flag
+ * @param {string|undefined} value - Environment variable value
+ * @returns {boolean} True for 'true', '1' or 'yes' (case-insensitive)
+ */
+function isFlagEnabled(value) {
+  return ['true', '1', 'yes'].includes(String(value ?? '').trim().toLowerCase());
+}
+
+/**
+ * Loads the NAMESPACE_SCOPE setting
+ * @param {Env} env - Environment variables
+ * @returns {{scope: NamespaceScope|null, error?: string}} Scope (null when namespace scoping is disabled)
+ */
+export function loadNamespaceScope(env) {
+  if (!env.NAMESPACE_SCOPE) {
+    return { scope: null };
+  }
+  const scope = tryParseJson(env.NAMESPACE_SCOPE);
+  if (!scope || typeof scope !== 'object' || Array.isArray(scope)) {
+    return { scope: null, error: 'NAMESPACE_SCOPE must be a JSON object' };
+  }
+  const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item);
+  for (const field of ['namespaces', 'clusterScopedResources']) {
+    if (scope[field] !== undefined && !isStringList(scope[field])) {
+      return { scope: null, error: `NAMESPACE_SCOPE.${field} must be an array of strings` };
+    }
+  }
+  for (const field of ['groups', 'subjects']) {
+    if (scope[field] !== undefined && (typeof scope[field] !== 'object' || Array.isArray(scope[field]) || !Object.values(scope[field]).every(isStringList))) {
+      return { scope: null, error: `NAMESPACE_SCOPE.${field} must map names to arrays of namespaces` };
+    }
+  }
+  if (scope.clusterWide !== undefined && !['reject', 'rewrite'].includes(scope.clusterWide)) {
+    return { scope: null, error: 'NAMESPACE_SCOPE.clusterWide must be "reject" or "rewrite"' };
+  }
+  return { scope };
+}
+
+/**
+ * Resolves the namespaces a client may use: the union of its subject and group
+ * entries, or the deployment-wide list when it has none
+ * @param {NamespaceScope} scope - Namespace scope
+ * @param {ClientIdentity|null} identity - Authenticated client (null when authentication is disabled)
+ * @returns {string[]|null} Allowed namespaces, or null when the client is unrestricted
+ */
+export function resolveAllowedNamespaces(scope, identity) {
+  /** @type {string[][]} */
+  const entries = [];
+  if (identity && scope.subjects && Object.hasOwn(scope.subjects, identity.subject)) {
+    entries.push(scope.subjects[identity.subject]);
+  }
+  for (const group of identity?.groups || []) {
+    if (scope.groups && Object.hasOwn(scope.groups, group)) {
+      entries.push(scope.groups[group]);
+    }
+  }
+  const namespaces = entries.length > 0 ? entries.flat() : scope.namespaces || [];
+  return namespaces.includes('*') ? null : [...new Set(namespaces)];
+}
+
+/**
+ * Checks a request against the client's namespace allowlist. Namespaced paths
+ * must name an allowed namespace, cluster-scoped resources must be listed in
+ * `clusterScopedResources`, and cluster-wide list/watch calls are rejected or,
+ * with `clusterWide: 'rewrite'`, mapped onto the allowed namespaces.
+ * @param {NamespaceScope} scope - Namespace scope
+ * @param {ClientIdentity|null} identity - Authenticated client
+ * @param {RequestInfo} info - Parsed request info
+ * @returns {NamespaceScopeDecision} Decision
+ */
+export function checkNamespaceScope(scope, identity, info) {
+  const allowed = resolveAllowedNamespaces(scope, identity);
+  if (!allowed || !info.isResourceRequest) {
+    return { allowed: true };
+  }
+
+  if (info.namespace) {
+    return allowed.includes(info.namespace)
+      ? { allowed: true }
+      : { allowed: false, message: `namespace "${info.namespace}" is outside the namespaces this client may access` };
+  }
+
+  // A namespace object is readable (and watchable) by name when it is itself in scope
+  if (!info.group && info.resource === 'namespaces' && info.name && allowed.includes(info.name) && ['get', 'watch'].includes(info.verb)) {
+    return { allowed: true };
+  }
+
+  const qualifiedResource = info.group ? `${info.group}/${info.resource}` : info.resource;
+  const explicitlyAllowed = (scope.clusterScopedResources || []).some(entry => entry === qualifiedResource || (!entry.includes('/') && entry === info.resource));
+  if (explicitlyAllowed) {
+    return { allowed: true };
+  }
+  if (KNOWN_CLUSTER_SCOPED_RESOURCES.has(qualifiedResource)) {
+    return { allowed: false, message: `cluster-scoped resource "${qualifiedResource}" is not permitted for namespace-scoped clients` };
+  }
+  if (info.name) {
+    // Unknown resource addressed by name without a namespace: treat it as cluster-scoped
+    return { allowed: false, message: `cluster-scoped resource "${qualifiedResource}" is not permitted for namespace-scoped clients` };
+  }
+
+  if (!['list', 'watch'].includes(info.verb)) {
+    return { allowed: false, message: `${info.verb} across all namespaces is not permitted; specify one of the allowed namespaces` };
+  }
+  if (scope.clusterWide !== 'rewrite') {
+    return { allowed: false, message: `cluster-wide ${info.verb} of "${qualifiedResource}" is not permitted; specify one of the allowed namespaces` };
+  }
+  if (allowed.length === 0) {
+    return { allowed: false, message: 'no namespaces are in scope for this client' };
+  }
+  return { allowed: true, namespaces: allowed };
+}
+
+/**
+ * Builds the namespaced form of a cluster-wide collection path
+ * ('/api/v1/pods' -> '/api/v1/namespaces/{namespace}/pods'). Watches use the
+ * `watch=true` query parameter rather than the legacy /watch/ prefix.
+ * @param {RequestInfo} info - Parsed request info of the cluster-wide request
+ * @param {string} namespace - Target namespace
+ * @returns {string} Namespaced API path
+ */
+export function buildNamespacedPath(info, namespace) {
+  const groupVersion = info.group ? `/apis/${info.group}/${info.version}` : `/api/${info.version}`;
+  return `${groupVersion}/namespaces/${encodeURIComponent(namespace)}/${info.resource}`;
+}
+
+/**
+ * Builds the query string for a rewritten namespaced request. Pagination
+ * tokens are dropped when fanning out, since they belong to a single upstream list.
+ * @param {RequestInfo} info - Parsed request info
+ * @param {URLSearchParams} searchParams - Original query parameters
+ * @param {boolean} fanOut - Whether the request is split across several namespaces
+ * @returns {string} Query string including the leading '?', or ''
+ */
+function buildNamespacedSearch(info, searchParams, fanOut) {
+  const params = new URLSearchParams(searchParams);
+  if (fanOut) {
+    params.delete('limit');
+    params.delete('continue');
+  }
+  if (info.verb === 'watch') {
+    params.set('watch', 'true');
+  }
+  const search = params.toString();
+  return search ? `?${search}` : '';
+}
+
+/**
+ * Sends a cluster-wide list/watch as one request per namespace and merges the
+ * results: lists (and Tables) are concatenated, watch streams interleaved line by
+ * line. The first non-2xx upstream response is returned unchanged.
+ * @param {Request} apiRequest - Prepared upstream request for the cluster-wide path
+ * @param {RequestInfo} info - Parsed request info
+ * @param {string[]} namespaces - Namespaces to fan out to
+ * @param {(request: Request) => Promise<Response>} send - Upstream sender
+ * @returns {Promise<Response>} Merged response
+ */
+export async function fetchAcrossNamespaces(apiRequest, info, namespaces, send) {
+  const url = new URL(apiRequest.url);
+  const search = buildNamespacedSearch(info, url.searchParams, true);
+  const headers = new Headers(apiRequest.headers);
+  // Protobuf cannot be merged here; fall back to JSON
+  const accept = (headers.get('Accept') || '').split(',').filter(type => !type.includes('protobuf')).join(',');
+  headers.set('Accept', accept || 'application/json');
+
+  const responses = await Promise.all(namespaces.map(namespace => send(new Request(
+    new URL(buildNamespacedPath(info, namespace) + search, url.origin),
+    { method: apiRequest.method, headers },
+  ))));
+
+  const failed = responses.find(response => !response.ok);
+  if (failed) {
+    for (const response of responses) {
+      if (response !== failed) {
+        response.body?.cancel().catch(() => {});
+      }
+    }
+    return failed;
+  }
+  return info.verb === 'watch' ? mergeWatchStreams(responses) : mergeListResponses(responses);
+}
+
+/**
+ * Concatenates per-namespace List (or Table) responses into one list
+ * @param {Response[]} responses - Successful upstream responses
+ * @returns {Promise<Response>} Merged list
+ */
+async function mergeListResponses(responses) {
+  const lists = await Promise.all(responses.map(response => response.json()));
+  const [first] = lists;
+  const field = first.kind === 'Table' ? 'rows' : 'items';
+  // Use the oldest resourceVersion so a follow-up watch misses no namespace's events
+  const versions = lists.map(list => list.metadata?.resourceVersion);
+  const resourceVersion = versions.every(version => /^\d+$/.test(version || ''))
+    ? versions.reduce((min, version) => (Number(version) < Number(min) ? version : min))
+    : '';
+  const merged = {
+    ...first,
+    metadata: { resourceVersion },
+    [field]: lists.flatMap(list => list[field] || []),
+  };
+
+  const headers = new Headers(responses[0].headers);
+  headers.delete('Content-Length');
+  headers.delete('Content-Encoding');
+  headers.set('Content-Type', 'application/json');
+  return new Response(JSON.stringify(merged), { status: 200, headers });
+}
+
+/**
+ * Interleaves per-namespace watch streams. The merged stream ends as soon as any
+ * namespace's watch ends, so clients re-establish the watch for every namespace.
+ * @param {Response[]} responses - Successful upstream watch responses
+ * @returns {Response} Merged newline-delimited watch stream
+ */
+function mergeWatchStreams(responses) {
+  const encoder = new TextEncoder();
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const readers = responses.map(response => response.body.pipeThrough(new TextDecoderStream()).getReader());
+  let finished = false;
+  const finish = (err) => {
+    if (finished) {
+      return;
+    }
+    finished = true;
+    for (const reader of readers) {
+      reader.cancel().catch(() => {});
+    }
+    (err ? writer.abort(err) : writer.close()).catch(() => {});
+  };
+
+  for (const reader of readers) {
+    (async () => {
+      let buffer = '';
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done || finished) {
+          break;
+        }
+        buffer += value;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+          if (line.trim()) {
+            await writer.write(encoder.encode(line + '\n'));
+          }
+        }
+      }
+      if (buffer.trim() && !finished) {
+        await writer.write(encoder.encode(buffer + '\n'));
+      }
+    })().then(() => finish(), finish);
+  }
+
+  const headers = new Headers(responses[0].headers);
+  headers.delete('Content-Length');
+  headers.delete('Content-Encoding');
+  return new Response(readable, { status: 200, headers });
+}
+
+/**
+ * Lists a collection across several cluster/namespace targets. Targets are
+ * queried with at most `concurrency` in flight, each following `continue` tokens
+ * page by page until it is exhausted or `maxItems` items have been collected
+ * overall. Items are tagged with their kind and annotated with the cluster and
+ * namespace they came from; a failing target is reported in `targets` instead of
+ * failing the whole list.
+ * @param {AggregateTarget[]} targets - Targets; those with an `error` are reported without being queried
+ * @param {(target: AggregateTarget, continueToken: string) => Promise<Response>} fetchPage - Fetches one list page
+ * @param {Object} options - Limits
+ * @param {number} options.concurrency - Maximum targets queried at once
+ * @param {number} options.maxItems - Maximum items in the merged list
+ * @returns {Promise<Object>} v1 `List` with a `targets` summary and a `truncated` flag
+ */
+export async function aggregateLists(targets, fetchPage, { concurrency, maxItems }) {
+  const results = targets.map(target => ({ cluster: target.cluster, namespace: target.namespace, itemCount: 0, error: target.error, items: [] }));
+  let collected = 0;
+  let truncated = false;
+
+  const queryTarget = async (result) => {
+    let continueToken = '';
+    do {
+      if (collected >= maxItems) {
+        truncated = true;
+        return;
+      }
+      let response;
+      try {
+        response = await fetchPage(result, continueToken);
+      } catch (err) {
+        result.error = err instanceof UpstreamError
+          ? { code: err.status, reason: UPSTREAM_ERRORS[err.reason]?.reason || 'InternalError', message: err.message }
+          : { code: 500, reason: 'InternalError', message: err.message };
+        return;
+      }
+      const body = tryParseJson(await response.text());
+      if (!response.ok || !Array.isArray(body?.items)) {
+        result.error = {
+          code: response.ok ? 502 : response.status,
+          reason: body?.reason || response.statusText || 'InternalError',
+          message: body?.message || 'upstream did not return a list',
+        };
+        return;
+      }
+
+      const kind = typeof body.kind === 'string' && body.kind.endsWith('List') ? body.kind.slice(0, -4) : undefined;
+      for (const item of body.items) {
+        result.items.push({
+          kind,
+          apiVersion: body.apiVersion,
+          ...item,
+          metadata: {
+            ...item.metadata,
+            annotations: {
+              ...item.metadata?.annotations,
+              [`${AGGREGATE_ANNOTATION_PREFIX}cluster`]: result.cluster,
+              [`${AGGREGATE_ANNOTATION_PREFIX}namespace`]: item.metadata?.namespace || result.namespace,
+            },
+          },
+        });
+      }
+      collected += body.items.length;
+      continueToken = body.metadata?.continue || '';
+    } while (continueToken);
+  };
+
+  const pending = results.filter(result => !result.error);
+  const workers = Array.from({ length: Math.min(Math.max(concurrency, 1), pending.length) }, async () => {
+    while (pending.length > 0) {
+      await queryTarget(pending.shift());
+    }
+  });
+  await Promise.all(workers);
+
+  const items = results.flatMap(result => result.items);
+  if (items.length > maxItems) {
+    truncated = true;
+  }
+  return {
+    kind: 'List',
+    apiVersion: 'v1',
+    metadata: { resourceVersion: '' },
+    items: items.slice(0, maxItems),
+    targets: results.map(({ items: targetItems, error, ...result }) => ({ ...result, itemCount: targetItems.length, ...(error ? { error } : {}) })),
+    truncated,
+  };
+}
+
+/**
+ * Thrown while streaming a request body that exceeds MAX_REQUEST_BODY_BYTES
+ */
+export class RequestBodyTooLargeError extends Error {
+  /**
+   * @param {number} limitBytes - Configured limit
+   */
+  constructor(limitBytes) {
+    super(`request body exceeds the limit of ${limitBytes} bytes`);
+    this.name = 'RequestBodyTooLargeError';
+    this.limitBytes = limitBytes;
+  }
+}
+
+/**
+ * Checks a request body's declared media type and length before it is read.
+ * GET and HEAD bodies are never forwarded, and an empty body has no media
+ * type to check, so both are allowed.
+ * @param {string} method - HTTP method
+ * @param {Headers} headers - Request headers
+ * @param {number} maxBytes - Largest accepted body (0 disables the length check)
+ * @returns {{allowed: boolean, code?: number, reason?: string, message?: string}} Decision
+ */
+export function checkRequestBody(method, headers, maxBytes) {
+  if (['GET', 'HEAD'].includes(method.toUpperCase()) || headers.get('Content-Length') === '0') {
+    return { allowed: true };
+  }
+  const allowedTypes = ALLOWED_BODY_CONTENT_TYPES[method.toUpperCase()] || [];
+  const contentType = (headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+  if (!allowedTypes.includes(contentType)) {
+    return {
+      allowed: false,
+      code: 415,
+      reason: 'UnsupportedMediaType',
+      message: contentType
+        ? `the body of the request was in an unknown format - accepted media types include: ${allowedTypes.join(', ')}`
+        : `${method.toUpperCase()} requests with a body must set Content-Type to one of: ${allowedTypes.join(', ')}`,
+    };
+  }
+
+  const contentLength = Number(headers.get('Content-Length'));
+  if (maxBytes > 0 && contentLength > maxBytes) {
+    return {
+      allowed: false,
+      code: 413,
+      reason: 'RequestEntityTooLarge',
+      message: new RequestBodyTooLargeError(maxBytes).message,
+    };
+  }
+  return { allowed: true };
+}
+
+/**
+ * Wraps a request body so that reading more than `maxBytes` fails with a
+ * RequestBodyTooLargeError, whether the body is buffered or streamed upstream.
+ * fetch implementations may reject with their own error once the stream fails,
+ * so `onExceeded` records the overflow for callers that cannot rely on `cause`.
+ * @param {ReadableStream|null} body - Request body
+ * @param {number} maxBytes - Largest accepted body (0 disables the limit)
+ * @param {(err: RequestBodyTooLargeError) => void} [onExceeded] - Called once the limit is passed
+ * @returns {ReadableStream|null} Limited body
+ */
+export function limitRequestBody(body, maxBytes, onExceeded) {
+  if (!body || !(maxBytes > 0)) {
+    return body;
+  }
+  let received = 0;
+  return body.pipeThrough(new TransformStream({
+    transform(chunk, controller) {
+      received += chunk.byteLength;
+      if (received > maxBytes) {
+        const err = new RequestBodyTooLargeError(maxBytes);
+        onExceeded?.(err);
+        controller.error(err);
+        return;
+      }
+      controller.enqueue(chunk);
+    },
+  }));
+}
+
+/** @type {Map<string, {schemas: Object<string, Object>, expiresAt: number}>} */
+const openApiSchemaCache = new Map();
+
+/**
+ * Finds the OpenAPI v3 schema of a kind in the cluster's published documents.
+ * The /openapi/v3 index and the group-version document are fetched through
+ * `fetchDocument` and kept per cluster for `ttlMs`.
+ * @param {ClusterTarget} cluster - Target cluster
+ * @param {string} apiVersion - Object apiVersion ('v1', 'apps/v1')
+ * @param {string} kind - Object kind
+ * @param {(path: string) => Promise<Response>} fetchDocument - Fetches an upstream OpenAPI path
+ * @param {number} ttlMs - How long parsed documents are reused
+ * @returns {Promise<{schema: Object, schemas: Object<string, Object>}|null>} Schema and the components it references, or null when the kind is not published
+ * @throws {Error} When an OpenAPI document cannot be fetched
+ */
+export async function loadKindSchema(cluster, apiVersion, kind, fetchDocument, ttlMs) {
+  const groupVersionPath = apiVersion.includes('/') ? `apis/${apiVersion}` : `api/${apiVersion}`;
+  const cacheKey = `${cluster.name}|${cluster.url}|${groupVersionPath}`;
+  let entry = openApiSchemaCache.get(cacheKey);
+  if (!entry || entry.expiresAt <= Date.now()) {
+    const fetchJson = async (path) => {
+      const response = await fetchDocument(path);
+      if (!response.ok) {
+        throw new Error(`GET ${path} returned ${response.status}`);
+      }
+      return response.json();
+    };
+    const index = await fetchJson('/openapi/v3');
+    const documentPath = index?.paths?.[groupVersionPath]?.serverRelativeURL;
+    const document = documentPath ? await fetchJson(documentPath) : null;
+    entry = { schemas: document?.components?.schemas || {}, expiresAt: Date.now() + ttlMs };
+    openApiSchemaCache.set(cacheKey, entry);
+  }
+
+  const [group, version] = apiVersion.includes('/') ? apiVersion.split('/') : ['', apiVersion];
+  const name = Object.keys(entry.schemas).find(schemaName => (entry.schemas[schemaName]['x-kubernetes-group-version-kind'] || [])
+    .some(gvk => (gvk.group || '') === group && gvk.version === version && gvk.kind === kind));
+  return name ? { schema: entry.schemas[name], schemas: entry.schemas } : null;
+}
+
+/**
+ * Follows `$ref` and single-entry `allOf` wrappers to the referenced schema
+ * @param {Object|undefined} schema - Schema or reference
+ * @param {Object<string, Object>} schemas - `components.schemas`
+ * @returns {Object|undefined} Resolved schema
+ */
+function resolveSchemaRef(schema, schemas) {
+  let resolved = schema;
+  for (let depth = 0; resolved && depth < 8; depth++) {
+    const ref = resolved.$ref || (resolved.allOf?.length === 1 ? resolved.allOf[0].$ref : undefined);
+    if (!ref) {
+      break;
+    }
+    resolved = schemas[ref.replace('#/components/schemas/', '')];
+  }
+  return resolved;
+}
+
+/**
+ * Checks a value against an OpenAPI type name
+ * @param {any} value - JSON value
+ * @param {string} type - OpenAPI type
+ * @returns {boolean} True when the value has that type
+ */
+function matchesSchemaType(value, type) {
+  switch (type) {
+    case 'object':
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number';
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Validates an object against a Kubernetes OpenAPI v3 schema: types (including
+ * int-or-string and oneOf/anyOf of types), required fields, enums and, when
+ * `strict` is set (`fieldValidation=Strict`), unknown fields. Formats and
+ * cross-field rules are left to the API server.
+ * @param {any} value - Decoded request body
+ * @param {Object} schema - Schema of the object's kind
+ * @param {Object<string, Object>} schemas - `components.schemas` the schema references
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.strict] - Report fields the schema does not declare
+ * @returns {ValidationCause[]} Field errors (empty when the object is valid)
+ */
+export function validateOpenApiObject(value, schema, schemas, { strict = false } = {}) {
+  /** @type {ValidationCause[]} */
+  const causes = [];
+  const describe = (node) => (Array.isArray(node) ? 'array' : node === null ? 'null' : typeof node);
+
+  const visit = (node, nodeSchema, field) => {
+    const resolved = resolveSchemaRef(nodeSchema, schemas);
+    if (!resolved || node === null || causes.length >= MAX_VALIDATION_CAUSES) {
+      return;
+    }
+
+    const alternatives = resolved['x-kubernetes-int-or-string']
+      ? ['integer', 'string']
+      : (resolved.oneOf || resolved.anyOf)?.map(option => resolveSchemaRef(option, schemas)?.type).filter(Boolean);
+    const type = resolved.type || (resolved.properties || resolved.additionalProperties ? 'object' : undefined);
+    const expected = alternatives?.length ? alternatives : type ? [type] : [];
+    if (expected.length > 0 && !expected.some(option => matchesSchemaType(node, option))) {
+      causes.push({
+        reason: 'FieldValueTypeInvalid',
+        message: `Invalid value: "${describe(node)}": ${field || '<root>'} in body must be of type ${expected.join(' or ')}: "${describe(node)}"`,
+        field,
+      });
+      return;
+    }
+    if (Array.isArray(resolved.enum) && !resolved.enum.includes(node)) {
+      causes.push({
+        reason: 'FieldValueNotSupported',
+        message: `Unsupported value: ${JSON.stringify(node)}: supported values: ${resolved.enum.map(option => JSON.stringify(option)).join(', ')}`,
+        field,
+      });
+      return;
+    }
+
+    if (Array.isArray(node)) {
+      node.forEach((item, index) => visit(item, resolved.items, `${field}[${index}]`));
+      return;
+    }
+    if (!matchesSchemaType(node, 'object')) {
+      return;
+    }
+    for (const name of resolved.required || []) {
+      if (node[name] === undefined) {
+        causes.push({ reason: 'FieldValueRequired', message: 'Required value', field: field ? `${field}.${name}` : name });
+      }
+    }
+    const properties = resolved.properties || {};
+    for (const [name, child] of Object.entries(node)) {
+      const childField = field ? `${field}.${name}` : name;
+      if (Object.hasOwn(properties, name)) {
+        visit(child, properties[name], childField);
+      } else if (resolved.additionalProperties && typeof resolved.additionalProperties === 'object') {
+        visit(child, resolved.additionalProperties, childField);
+      } else if (strict && resolved.properties && !resolved['x-kubernetes-preserve-unknown-fields']) {
+        causes.push({ reason: 'FieldValueInvalid', message: `unknown field "${childField}"`, field: childField });
+      }
+    }
+  };
+
+  visit(value, schema, '');
+  return causes.slice(0, MAX_VALIDATION_CAUSES);
+}
+
+/**
+ * Checks a request against read-only mode: mutating verbs and interactive
+ * subresources (exec/attach/portforward) are rejected
+ * @param {string} method - HTTP method
+ * @param {RequestInfo} info - Parsed request info
+ * @param {URLSearchParams} searchParams - Query parameters
+ * @param {boolean} [allowDryRun] - Allow mutating requests that carry dryRun=All
+ * @returns {{allowed: boolean, code?: number, reason?: string, message?: string}} Decision
+ */
+export function checkReadOnly(method, info, searchParams, allowDryRun = false) {
+  if (READ_ONLY_BLOCKED_SUBRESOURCES.includes(info.subresource)) {
+    return {
+      allowed: false,
+      code: 403,
+      reason: 'Forbidden',
+      message: `${info.subresource} is not permitted: the proxy is in read-only mode`,
+    };
+  }
+
+  const upperMethod = method.toUpperCase();
+  if (!MUTATING_METHODS.includes(upperMethod)) {
+    return { allowed: true };
+  }
+  if (allowDryRun && searchParams.getAll('dryRun').includes('All')) {
+    return { allowed: true };
+  }
+  return {
+    allowed: false,
+    code: 405,
+    reason: 'MethodNotAllowed',
+    message: `${upperMethod} is not permitted: the proxy is in read-only mode`,
+  };
+}
+
+/**
+ * Determines whether a mutating request must be sent with dryRun=All, either
+ * because its path is under DRY_RUN_PATHS or because the client asked for it
+ * @param {Env} env - Environment variables
+ * @param {string} path - Normalized API path
+ * @param {Headers} headers - Client request headers
+ * @returns {boolean} True when the request must not be persisted
+ */
+export function isDryRunForced(env, path, headers) {
+  const requested = (headers.get(DRY_RUN_HEADER) || '').trim().toLowerCase();
+  if (requested === 'all' || requested === 'true') {
+    return true;
+  }
+  const prefixes = (env.DRY_RUN_PATHS || '').split(',').map(prefix => prefix.trim()).filter(Boolean);
+  return prefixes.some(prefix => {
+    const base = prefix.replace(/\/+$/, '');
+    return path === base || path.startsWith(base + '/');
+  });
+}
+
+/**
+ * Finds the resource serving a kind through the cluster's discovery documents
+ * @param {string} apiVersion - Object apiVersion (e.g. 'apps/v1' or 'v1')
+ * @param {string} kind - Object kind
+ * @param {(path: string) => Promise<Response>} fetchDocument - Fetches a discovery path from the cluster
+ * @returns {Promise<{resource: string, namespaced: boolean}|null>} Resource, or null when the kind is not served
+ */
+export async function resolveKindResource(apiVersion, kind, fetchDocument) {
+  const response = await fetchDocument(apiVersion.includes('/') ? `/apis/${apiVersion}` : `/api/${apiVersion}`);
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`discovery for ${apiVersion} returned ${response.status}`);
+  }
+  const list = await response.json();
+  const match = (list.resources || []).find(resource => resource.kind === kind && !resource.name.includes('/'));
+  return match ? { resource: match.name, namespaced: Boolean(match.namespaced) } : null;
+}
+
+/**
+ * Removes the fields a preview does not compare: status and managedFields
+ * @param {Object|null} object - Kubernetes object
+ * @returns {Object|null} Copy without the excluded fields
+ */
+function stripPreviewFields(object) {
+  if (!object) {
+    return null;
+  }
+  const stripped = { ...object };
+  delete stripped.status;
+  if (stripped.metadata) {
+    stripped.metadata = { ...stripped.metadata };
+    delete stripped.metadata.managedFields;
+  }
+  return stripped;
+}
+
+/**
+ * Computes the field-level changes between two JSON values. Objects are
+ * compared key by key and arrays index by index
+ * @param {*} live - Current value
+ * @param {*} proposed - Proposed value
+ * @param {string} [path] - JSON Pointer of the compared values
+ * @returns {DiffEntry[]} Changes, in key order
+ */
+export function diffObjects(live, proposed, path = '') {
+  const isContainer = (value) => value !== null && typeof value === 'object';
+  if (isContainer(live) && isContainer(proposed) && Array.isArray(live) === Array.isArray(proposed)) {
+    /** @type {DiffEntry[]} */
+    const changes = [];
+    const keys = Array.isArray(live)
+      ? Array.from({ length: Math.max(live.length, proposed.length) }, (_, index) => String(index))
+      : [...new Set([...Object.keys(live), ...Object.keys(proposed)])];
+    for (const key of keys) {
+      const childPath = `${path}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+      if (!Object.hasOwn(live, key)) {
+        changes.push({ op: 'add', path: childPath, value: proposed[key] });
+      } else if (!Object.hasOwn(proposed, key)) {
+        changes.push({ op: 'remove', path: childPath, oldValue: live[key] });
+      } else {
+        changes.push(...diffObjects(live[key], proposed[key], childPath));
+      }
+    }
+    return changes;
+  }
+  if (JSON.stringify(live) === JSON.stringify(proposed)) {
+    return [];
+  }
+  return [{ op: 'replace', path, oldValue: live, value: proposed }];
+}
+
+/**
+ * Builds the /kubernetes/preview response from the live object and the
+ * server-side apply dry-run result
+ * @param {Object|null} live - Live object (null when it does not exist yet)
+ * @param {Object} proposed - Object returned by the dry-run apply
+ * @returns {{operation: 'create'|'update'|'unchanged', live: Object|null, proposed: Object, diff: DiffEntry[]}} Preview
+ */
+export function buildPreview(live, proposed) {
+  const strippedLive = stripPreviewFields(live);
+  const strippedProposed = stripPreviewFields(proposed);
+  const diff = diffObjects(strippedLive ?? {}, strippedProposed);
+  return {
+    operation: !strippedLive ? 'create' : diff.length > 0 ? 'update' : 'unchanged',
+    live: strippedLive,
+    proposed: strippedProposed,
+    diff,
+  };
+}
+
+/**
+ * Loads the multi-cluster registry from the CLUSTERS binding
+ * @param {Env} env - Environment variables
+ * @returns {{clusters: Object<string, ClusterTarget>, error?: string}} Clusters keyed by name
+ */
+export function loadClusterRegistry(env) {
+  if (!env.CLUSTERS) {
+    return { clusters: {} };
+  }
+
+  let registry;
+  try {
+    registry = typeof env.CLUSTERS === 'string' ? JSON.parse(env.CLUSTERS) : env.CLUSTERS;
+  } catch {
+    return { clusters: {}, error: 'CLUSTERS is not valid JSON' };
+  }
+  if (!registry || typeof registry !== 'object' || Array.isArray(registry)) {
+    return { clusters: {}, error: 'CLUSTERS must be an object keyed by cluster name' };
+  }
+
+  /** @type {Object<string, ClusterTarget>} */
+  const clusters = {};
+  for (const [name, entry] of Object.entries(registry)) {
+    if (!entry || typeof entry.url !== 'string') {
+      return { clusters: {}, error: `Cluster ${name} must have a url` };
+    }
+    clusters[name] = {
+      name,
+      url: entry.url,
+      token: entry.tokenSecret ? env[entry.tokenSecret] : entry.token,
+    };
+  }
+  return { clusters };
+}
+
+/**
+ * Splits a '/kubernetes/...' pathname into its cluster route and API path
+ * @param {string} pathname - Request pathname
+ * @returns {{type: 'default'|'list'|'cluster'|'aggregate'|'preview', clusterName?: string, path: string}} Route
+ */
+export function parseClusterRoute(pathname) {
+  if (pathname === PREVIEW_ROUTE) {
+    return { type: 'preview', path: '' };
+  }
+  if (pathname.startsWith(AGGREGATE_ROUTE_PREFIX + '/')) {
+    return { type: 'aggregate', path: pathname.slice(AGGREGATE_ROUTE_PREFIX.length) };
+  }
+  if (pathname !== CLUSTER_ROUTE_PREFIX && !pathname.startsWith(CLUSTER_ROUTE_PREFIX + '/')) {
+    return { type: 'default', path: pathname.slice(11) }; // Remove '/kubernetes'
+  }
+
+  const [clusterName, ...rest] = pathname.slice(CLUSTER_ROUTE_PREFIX.length + 1).split('/');
+  if (!clusterName) {
+    return { type: 'list', path: '' };
+  }
+  if (rest.length === 1 && rest[0] === 'preview') {
+    return { type: 'preview', clusterName, path: '' };
+  }
+  return { type: 'cluster', clusterName, path: '/' + rest.join('/') };
+}
+
+/**
+ * Parses a rate limit of the form '<requests>/<seconds>' (e.g. '100/60')
+ * @param {string|undefined} value - Rate limit setting
+ * @returns {RateLimit|null} Token bucket parameters, or null if unset/invalid
+ */
+export function parseRateLimit(value) {
+  const match = String(value ?? '').trim().match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (!match) {
+    return null;
+  }
+  const capacity = Number(match[1]);
+  const seconds = Number(match[2]);
+  if (capacity === 0 || seconds === 0) {
+    return null;
+  }
+  return { capacity, refillPerSecond: capacity / seconds };
+}
+
+/**
+ * Classifies a request into the rate limit budget it draws from
+ * @param {string} method - HTTP method
+ * @param {RequestInfo} info - Parsed request info
+ * @param {URLSearchParams} searchParams - Query parameters
+ * @param {boolean} isUpgrade - True for WebSocket upgrade requests
+ * @returns {'read'|'write'|'watch'} Budget name
+ */
+export function classifyRateLimitBucket(method, info, searchParams, isUpgrade) {
+  if (isUpgrade || info.verb === 'watch' || searchParams.get('follow') === 'true') {
+    return 'watch';
+  }
+  return MUTATING_METHODS.includes(method.toUpperCase()) ? 'write' : 'read';
+}
+
+/**
+ * Takes one token from a bucket, refilling it for the time elapsed since its last update
+ * @param {{tokens: number, updatedAt: number}|undefined} bucket - Stored bucket state
+ * @param {RateLimit} limit - Token bucket parameters
+ * @param {number} now - Current time in milliseconds
+ * @returns {RateLimitDecision & {bucket: {tokens: number, updatedAt: number}}} Decision and new bucket state
+ */
+export function takeToken(bucket, limit, now) {
+  const elapsedSeconds = bucket ? Math.max(0, now - bucket.updatedAt) / 1000 : 0;
+  const tokens = bucket
+    ? Math.min(limit.capacity, bucket.tokens + elapsedSeconds * limit.refillPerSecond)
+    : limit.capacity;
+
+  if (tokens >= 1) {
+    return {
+      allowed: true,
+      remaining: Math.floor(tokens - 1),
+      retryAfterSeconds: 0,
+      bucket: { tokens: tokens - 1, updatedAt: now },
+    };
+  }
+  return {
+    allowed: false,
+    remaining: 0,
+    retryAfterSeconds: Math.ceil((1 - tokens) / limit.refillPerSecond),
+    bucket: { tokens, updatedAt: now },
+  };
+}
+
+/**
+ * In-memory token bucket store, scoped to a single isolate.
+ * Used when no RATE_LIMITER Durable Object is bound (and in tests).
+ */
+export class MemoryRateLimitStore {
+  /**
+   * @param {number} [maxEntries] - Buckets kept before the oldest are evicted
+   */
+  constructor(maxEntries = 10000) {
+    /** @type {Map<string, {tokens: number, updatedAt: number}>} */
+    this.buckets = new Map();
+    this.maxEntries = maxEntries;
+  }
+
+  /**
+   * @param {string} clientKey - Client identity key
+   * @param {string} bucketName - Budget name
+   * @param {RateLimit} limit - Token bucket parameters
+   * @returns {Promise<RateLimitDecision>} Decision
+   */
+  async consume(clientKey, bucketName, limit) {
+    const key = `${clientKey}:${bucketName}`;
+    const { bucket, ...decision } = takeToken(this.buckets.get(key), limit, Date.now());
+    // Re-insert so the Map's insertion order tracks recency for eviction
+    this.buckets.delete(key);
+    this.buckets.set(key, bucket);
+    if (this.buckets.size > this.maxEntries) {
+      this.buckets.delete(this.buckets.keys().next().value);
+    }
+    return decision;
+  }
+}
+
+/**
+ * Token bucket store backed by the RateLimiter Durable Object (one instance per client)
+ */
+export class DurableObjectRateLimitStore {
+  /**
+   * @param {DurableObjectNamespace} namespace - RATE_LIMITER binding
+   */
+  constructor(namespace) {
+    this.namespace = namespace;
+  }
+
+  /**
+   * @param {string} clientKey - Client identity key
+   * @param {string} bucketName - Budget name
+   * @param {RateLimit} limit - Token bucket parameters
+   * @returns {Promise<RateLimitDecision>} Decision
+   */
+  async consume(clientKey, bucketName, limit) {
+    const stub = this.namespace.get(this.namespace.idFromName(clientKey));
+    const response = await stub.fetch('https://rate-limiter/consume', {
+      method: 'POST',
+      body: JSON.stringify({ bucket: bucketName, limit }),
+    });
+    if (!response.ok) {
+      throw new Error(`Rate limiter returned status ${response.status}`);
+    }
+    return response.json();
+  }
+}
+
+/**
+ * Durable Object holding the token buckets of a single client
+ */
+export class RateLimiter {
+  /**
+   * @param {DurableObjectState} state - Durable Object state
+   * @param {Env} _env - Environment variables (unused)
+   */
+  constructor(state, _env) {
+    this.state = state;
+  }
+
+  /**
+   * @param {Request} request - `{bucket, limit}` consume request
+   * @returns {Promise<Response>} JSON RateLimitDecision
+   */
+  async fetch(request) {
+    const { bucket: bucketName, limit } = await request.json();
+    const { bucket, ...decision } = takeToken(await this.state.storage.get(bucketName), limit, Date.now());
+    await this.state.storage.put(bucketName, bucket);
+    return new Response(JSON.stringify(decision), {
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+}
+
+/** @type {MemoryRateLimitStore} */
+const memoryRateLimitStore = new MemoryRateLimitStore();
+
+/**
+ * Returns the rate limit store for this deployment
+ * @param {Env} env - Environment variables
+ * @returns {MemoryRateLimitStore|DurableObjectRateLimitStore} Store
+ */
+function getRateLimitStore(env) {
+  return env.RATE_LIMITER ? new DurableObjectRateLimitStore(env.RATE_LIMITER) : memoryRateLimitStore;
+}
+
+/**
+ * Checks whether a request targets API discovery or OpenAPI documents,
+ * the only paths eligible for the edge cache
+ * @param {RequestInfo} info - Parsed request info
+ * @returns {boolean} True for /api, /apis, /apis/{group}[/{version}] and /openapi/*
+ */
+export function isDiscoveryPath(info) {
+  if (info.apiPrefix === 'openapi') {
+    return /^\/openapi\/v[23](\/|$)/.test(info.path);
+  }
+  return ['api', 'apis'].includes(info.apiPrefix) && !info.isResourceRequest;
+}
+
+/**
+ * Checks the X-Proxy-Admin-Token header (or a bearer token, for scrapers) against PROXY_ADMIN_TOKEN
+ * @param {Request} request - Incoming request
+ * @param {Env} env - Environment variables
+ * @returns {boolean} True if the caller presented the admin token
+ */
+function isAdminRequest(request, env) {
+  const authorization = request.headers.get('Authorization') || '';
+  const presented = request.headers.get('X-Proxy-Admin-Token') ||
+    (authorization.toLowerCase().startsWith('bearer ') ? authorization.slice(7).trim() : '');
+  return Boolean(env.PROXY_ADMIN_TOKEN && presented && timingSafeEqual(presented, env.PROXY_ADMIN_TOKEN));
+}
+
+/**
+ * Returns the current cache generation for a cluster; purging bumps it so
+ * older entries are no longer addressed. Generations live in
+ * CACHE_GENERATION_KV when it is bound (shared by all data centers),
+ * otherwise in the local cache
+ * @param {Cache} cache - Workers cache
+ * @param {KVNamespace|undefined} kv - CACHE_GENERATION_KV binding
+ * @param {string} clusterName - Cluster name
+ * @returns {Promise<string>} Generation identifier
+ */
+async function getCacheGeneration(cache, kv, clusterName) {
+  if (kv) {
+    return (await kv.get(`cache-generation/${clusterName}`, { cacheTtl: 60 })) || '0';
+  }
+  const entry = await cache.match(`${CACHE_KEY_ORIGIN}/generation/${encodeURIComponent(clusterName)}`);
+  return entry ? entry.text() : '0';
+}
+
+/**
+ * Starts a new cache generation for each given cluster
+ * @param {Cache} cache - Workers cache
+ * @param {KVNamespace|undefined} kv - CACHE_GENERATION_KV binding
+ * @param {string[]} clusterNames - Clusters to purge
+ * @returns {Promise<void>}
+ */
+async function purgeDiscoveryCache(cache, kv, clusterNames) {
+  const generation = String(Date.now());
+  await Promise.all(clusterNames.map(name => (kv
+    ? kv.put(`cache-generation/${name}`, generation)
+    : cache.put(
+      `${CACHE_KEY_ORIGIN}/generation/${encodeURIComponent(name)}`,
+      new Response(generation, { headers: { 'Cache-Control': `max-age=${CACHE_GENERATION_RETENTION_SECONDS}` } })
+    ))));
+}
+
+/**
+ * Builds the cache key for a discovery request, scoped to the cluster, the
+ * upstream credential (token and impersonated identity) and the requested
+ * representation
+ * @param {Cache} cache - Workers cache
+ * @param {KVNamespace|undefined} kv - CACHE_GENERATION_KV binding
+ * @param {ClusterTarget} cluster - Target cluster
+ * @param {[string, string][]} impersonation - Impersonate-* headers sent upstream
+ * @param {string} path - Normalized API path
+ * @param {string} search - Query string (including '?')
+ * @param {string} accept - Accept header sent upstream
+ * @returns {Promise<string>} Cache key URL
+ */
+async function buildDiscoveryCacheKey(cache, kv, cluster, impersonation, path, search, accept) {
+  const credential = (await sha256Hex(JSON.stringify([cluster.token || '', impersonation]))).slice(0, 32);
+  const generation = await getCacheGeneration(cache, kv, cluster.name);
+  const key = new URL(`${CACHE_KEY_ORIGIN}/${encodeURIComponent(cluster.name)}/${credential}/${generation}${path}${search}`);
+  key.searchParams.set('__accept', accept);
+  return key.toString();
+}
+
+/**
+ * Fetches a discovery document through the edge cache. Fresh entries are served
+ * directly; stale ones are revalidated upstream with If-None-Match.
+ * @param {Request} apiRequest - Upstream request (without client conditional headers)
+ * @param {Cache} cache - Workers cache
+ * @param {string} cacheKey - Cache key from buildDiscoveryCacheKey
+ * @param {number} ttlSeconds - Freshness lifetime
+ * @param {(promise: Promise<any>) => Promise<any>|void} waitUntil - Defers cache writes
+ * @param {(request: Request) => Promise<Response>} [send] - Sends the upstream request
+ * @returns {Promise<{response: Response, cacheStatus: 'HIT'|'MISS'|'REVALIDATED'}>} Response and cache outcome
+ */
+async function fetchWithDiscoveryCache(apiRequest, cache, cacheKey, ttlSeconds, waitUntil, send = fetch) {
+  const cached = await cache.match(cacheKey);
+  const cachedAt = Number(cached?.headers.get('X-Proxy-Cached-At'));
+  if (cached && Date.now() - cachedAt < ttlSeconds * 1000) {
+    return { response: cached, cacheStatus: 'HIT' };
+  }
+
+  const etag = cached?.headers.get('ETag');
+  if (etag) {
+    apiRequest.headers.set('If-None-Match', etag);
+  }
+  const upstream = await send(apiRequest);
+
+  const store = async (source, body) => {
+    const headers = new Headers(source.headers);
+    headers.delete('Set-Cookie');
+    headers.set('Cache-Control', `max-age=${CACHE_ENTRY_RETENTION_SECONDS}`);
+    headers.set('X-Proxy-Cached-At', String(Date.now()));
+    await waitUntil(cache.put(cacheKey, new Response(body, { status: 200, headers })));
+  };
+
+  if (upstream.status === 304 && cached) {
+    const body = await cached.arrayBuffer();
+    await store(cached, body);
+    return { response: new Response(body, { status: 200, headers: cached.headers }), cacheStatus: 'REVALIDATED' };
+  }
+  if (upstream.status !== 200) {
+    return { response: upstream, cacheStatus: 'MISS' };
+  }
+
+  const body = await upstream.arrayBuffer();
+  await store(upstream, body);
+  return {
+    response: new Response(body, { status: 200, statusText: upstream.statusText, headers: upstream.headers }),
+    cacheStatus: 'MISS',
+  };
+}
+
+/**
+ * Parses JSON without throwing
+ * @param {string} text - JSON text
+ * @returns {any} Parsed value, or undefined if the text is not valid JSON
+ */
+function tryParseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Replaces every value of a string map with the redaction marker
+ * @param {Object<string, any>|undefined} map - Secret `data` or `stringData`
+ * @returns {Object<string, string>|undefined} Redacted map
+ */
+function redactValues(map) {
+  if (!map || typeof map !== 'object') {
+    return map;
+  }
+  return Object.fromEntries(Object.keys(map).map(key => [key, REDACTED_VALUE]));
+}
+
+/**
+ * Redacts Secret payloads (`data`/`stringData`) from a Kubernetes object.
+ * Handles Secret and SecretList kinds, and JSON patch operations on /data
+ * or /stringData when `isSecretResource` is set (patches carry no kind).
+ * @param {any} object - Parsed Kubernetes object, list or patch
+ * @param {boolean} [isSecretResource] - Treat the object as a Secret regardless of its kind
+ * @returns {any} Redacted copy
+ */
+export function redactSecretData(object, isSecretResource = false) {
+  if (Array.isArray(object)) {
+    if (!isSecretResource) {
+      return object;
+    }
+    return object.map(op => (op && /^\/(string)?[dD]ata(\/|$)/.test(op.path ?? '') && 'value' in op
+      ? { ...op, value: typeof op.value === 'object' ? redactValues(op.value) : REDACTED_VALUE }
+      : op));
+  }
+  if (!object || typeof object !== 'object') {
+    return object;
+  }
+  if (object.kind === 'SecretList' || (isSecretResource && Array.isArray(object.items))) {
+    return { ...object, items: (object.items || []).map(item => redactSecretData(item, true)) };
+  }
+  if (object.kind === 'Secret' || isSecretResource) {
+    const redacted = { ...object };
+    if ('data' in redacted) {
+      redacted.data = redactValues(redacted.data);
+    }
+    if ('stringData' in redacted) {
+      redacted.stringData = redactValues(redacted.stringData);
+    }
+    const annotations = redacted.metadata?.annotations;
+    if (annotations?.['kubectl.kubernetes.io/last-applied-configuration']) {
+      redacted.metadata = {
+        ...redacted.metadata,
+        annotations: { ...annotations, 'kubectl.kubernetes.io/last-applied-configuration': REDACTED_VALUE },
+      };
+    }
+    return redacted;
+  }
+  return object;
+}
+
+/**
+ * Loads the AUDIT_RESOURCE_LEVELS setting
+ * @param {Env} env - Environment variables
+ * @returns {{levels: Object<string, AuditLevel>, error?: string}} Levels keyed by resource (or 'resource/subresource')
+ */
+export function loadAuditResourceLevels(env) {
+  if (!env.AUDIT_RESOURCE_LEVELS) {
+    return { levels: {} };
+  }
+  const levels = tryParseJson(env.AUDIT_RESOURCE_LEVELS);
+  if (!levels || typeof levels !== 'object' || Array.isArray(levels)) {
+    return { levels: {}, error: 'AUDIT_RESOURCE_LEVELS must be a JSON object' };
+  }
+  const invalid = Object.keys(levels).find(resource => !AUDIT_LEVELS.includes(levels[resource]));
+  if (invalid !== undefined) {
+    return { levels: {}, error: `AUDIT_RESOURCE_LEVELS.${invalid} must be one of ${AUDIT_LEVELS.join(', ')}` };
+  }
+  return { levels };
+}
+
+/**
+ * Resolves the audit level for a request from AUDIT_RESOURCE_LEVELS, falling back to AUDIT_LEVEL
+ * @param {Env} env - Environment variables
+ * @param {RequestInfo} info - Parsed request info
+ * @returns {AuditLevel} Audit level
+ */
+export function getAuditLevel(env, info) {
+  const resourceLevels = loadAuditResourceLevels(env).levels;
+  const candidates = [
+    info.subresource && resourceLevels[`${info.resource}/${info.subresource}`],
+    resourceLevels[info.resource],
+    env.AUDIT_LEVEL,
+  ];
+  return candidates.find(level => AUDIT_LEVELS.includes(level)) || 'None';
+}
+
+/**
+ * Builds an audit.k8s.io/v1 Event for a proxied request
+ * @param {Object} params - Event inputs
+ * @param {string} params.requestId - Request ID (used as auditID)
+ * @param {AuditLevel} params.level - Audit level
+ * @param {string} params.method - HTTP method
+ * @param {string} params.requestURI - API path and query string
+ * @param {RequestInfo} params.info - Parsed request info
+ * @param {ClientIdentity|null} params.identity - Authenticated client identity
+ * @param {string|null} params.clientIp - Client IP address
+ * @param {string|null} params.userAgent - Client User-Agent
+ * @param {string} params.cluster - Target cluster name
+ * @param {number} params.status - Response status code
+ * @param {number} params.receivedAt - Request start time (ms since epoch)
+ * @param {any} [params.requestObject] - Request body (Request level and above)
+ * @param {any} [params.responseObject] - Response body (RequestResponse level)
+ * @returns {Object} Audit event
+ */
+export function buildAuditEvent({ requestId, level, method, requestURI, info, identity, clientIp, userAgent, cluster, status, receivedAt, requestObject, responseObject }) {
+  const isSecret = info.resource === 'secrets';
+  const event = {
+    kind: 'Event',
+    apiVersion: 'audit.k8s.io/v1',
+    level,
+    auditID: requestId,
+    stage: 'ResponseComplete',
+    requestURI,
+    verb: info.isResourceRequest ? info.verb : method.toLowerCase(),
+    user: {
+      username: identity?.subject || 'system:anonymous',
+      groups: identity?.groups || [],
+    },
+    sourceIPs: clientIp ? [clientIp] : [],
+    userAgent: userAgent || undefined,
+    objectRef: info.isResourceRequest ? {
+      resource: info.resource,
+      namespace: info.namespace || undefined,
+      name: info.name || undefined,
+      apiGroup: info.group || undefined,
+      apiVersion: info.version,
+      subresource: info.subresource || undefined,
+    } : undefined,
+    responseStatus: { metadata: {}, code: status },
+    requestReceivedTimestamp: new Date(receivedAt).toISOString(),
+    stageTimestamp: new Date().toISOString(),
+    annotations: { 'proxy.k8s.scarmonit.com/cluster': cluster },
+  };
+
+  if (AUDIT_LEVELS.indexOf(level) >= AUDIT_LEVELS.indexOf('Request') && requestObject !== undefined) {
+    event.requestObject = redactSecretData(requestObject, isSecret);
+  }
+  if (level === 'RequestResponse' && responseObject !== undefined) {
+    event.responseObject = redactSecretData(responseObject, isSecret);
+  }
+  return event;
+}
+
+/**
+ * Batches audit events and POSTs them to a webhook as an audit.k8s.io/v1 EventList.
+ * A batch is sent when it is full or when `flush` is called. Sinks belong to a
+ * single request: the Workers runtime ties I/O to the request that started it,
+ * so buffers are never shared between requests
+ */
+export class WebhookAuditSink {
+  /**
+   * @param {string} url - Webhook endpoint
+   * @param {Object} [options] - Batching options
+   * @param {number} [options.batchSize] - Events per request
+   * @param {string} [options.token] - Bearer token for the webhook
+   */
+  constructor(url, { batchSize = 50, token } = {}) {
+    this.url = url;
+    this.batchSize = batchSize;
+    this.token = token;
+    /** @type {Object[]} */
+    this.buffer = [];
+  }
+
+  /**
+   * Buffers an event, sending the batch once it is full
+   * @param {Object} event - Audit event
+   * @returns {Promise<void>}
+   */
+  async emit(event) {
+    this.buffer.push(event);
+    if (this.buffer.length >= this.batchSize) {
+      await this.flush();
+    }
+  }
+
+  /**
+   * Sends all buffered events
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this.buffer.length === 0) {
+      return;
+    }
+    const items = this.buffer.splice(0, this.buffer.length);
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.token && { Authorization: `Bearer ${this.token}` }),
+      },
+      body: JSON.stringify({ kind: 'EventList', apiVersion: 'audit.k8s.io/v1', metadata: {}, items }),
+    });
+    if (!response.ok) {
+      throw new Error(`Audit webhook returned status ${response.status}`);
+    }
+  }
+}
+
+/**
+ * Creates the audit sink configured by AUDIT_SINK for one request; callers
+ * `flush` it through that request's `waitUntil`
+ * @param {Env} env - Environment variables
+ * @returns {{emit: (event: Object) => Promise<void>, flush: () => Promise<void>}} Audit sink
+ */
+export function createAuditSink(env) {
+  switch (env.AUDIT_SINK || 'console') {
+    case 'webhook':
+      if (!env.AUDIT_WEBHOOK_URL) {
+        throw new Error('AUDIT_WEBHOOK_URL is required for the webhook audit sink');
+      }
+      return new WebhookAuditSink(env.AUDIT_WEBHOOK_URL, {
+        batchSize: Number(env.AUDIT_BATCH_SIZE) || undefined,
+        token: env.AUDIT_WEBHOOK_TOKEN,
+      });
+    case 'queue':
+      if (!env.AUDIT_QUEUE) {
+        throw new Error('AUDIT_QUEUE binding is required for the queue audit sink');
+      }
+      return { emit: event => env.AUDIT_QUEUE.send(event), flush: async () => {} };
+    case 'console':
+      return { emit: async event => console.log(JSON.stringify(event)), flush: async () => {} };
+    default:
+      throw new Error(`Unknown audit sink: ${env.AUDIT_SINK}`);
+  }
+}
+
+/**
+ * Compiles a JSONPath-style redaction path. Supported syntax: `$` root,
+ * `.field`, `..field` (recursive descent), `[*]` / `.*` (wildcard) and
+ * `[?(@.field=='glob')]` (filter array elements, `*` in the glob matches any run of characters)
+ * @param {string} path - Redaction path, e.g. `$..env[?(@.name=='*_PASSWORD')].value`
+ * @returns {Object[]} Path tokens
+ */
+export function compileRedactionPath(path) {
+  const tokens = [];
+  let rest = path.trim().replace(/^\$/, '');
+  const patterns = [
+    [/^\.\.([A-Za-z0-9_-]+)/, m => ({ type: 'descend', name: m[1] })],
+    [/^(?:\.\*|\[\*\])/, () => ({ type: 'wildcard' })],
+    [/^\.([A-Za-z0-9_-]+)/, m => ({ type: 'child', name: m[1] })],
+    [/^\[\?\(@\.([A-Za-z0-9_-]+)\s*==\s*(['"])(.*?)\2\)\]/, m => ({
+      type: 'filter',
+      field: m[1],
+      pattern: new RegExp(`^${m[3].split('*').map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`),
+    })],
+  ];
+
+  while (rest) {
+    const match = patterns.map(([regex, build]) => [rest.match(regex), build]).find(([m]) => m);
+    if (!match) {
+      throw new Error(`Invalid redaction path: ${path}`);
+    }
+    tokens.push(match[1](match[0]));
+    rest = rest.slice(match[0][0].length);
+  }
+  if (tokens.length === 0) {
+    throw new Error(`Invalid redaction path: ${path}`);
+  }
+  return tokens;
+}
+
+/**
+ * Replaces every value selected by a compiled redaction path (mutates the object)
+ * @param {Object} object - Object to redact in place
+ * @param {Object[]} tokens - Tokens from compileRedactionPath
+ */
+function applyRedactionPath(object, tokens) {
+  /** @type {{parent: any, key: string|number|null, value: any}[]} */
+  let nodes = [{ parent: null, key: null, value: object }];
+  const children = node => (node.value && typeof node.value === 'object'
+    ? Object.entries(node.value).map(([key, value]) => ({ parent: node.value, key, value }))
+    : []);
+
+  for (const token of tokens) {
+    const next = [];
+    for (const node of nodes) {
+      if (token.type === 'child') {
+        if (node.value && typeof node.value === 'object' && token.name in node.value) {
+          next.push({ parent: node.value, key: token.name, value: node.value[token.name] });
+        }
+      } else if (token.type === 'wildcard') {
+        next.push(...children(node));
+      } else if (token.type === 'filter') {
+        next.push(...children(node).filter(child => {
+          const field = child.value?.[token.field];
+          return typeof field === 'string' && token.pattern.test(field);
+        }));
+      } else if (token.type === 'descend') {
+        const stack = [node];
+        while (stack.length) {
+          const current = stack.pop();
+          if (current.value && typeof current.value === 'object' && token.name in current.value) {
+            next.push({ parent: current.value, key: token.name, value: current.value[token.name] });
+          }
+          stack.push(...children(current));
+        }
+      }
+    }
+    nodes = next;
+  }
+
+  for (const { parent, key } of nodes) {
+    if (parent && key !== null) {
+      parent[key] = REDACTED_VALUE;
+    }
+  }
+}
+
+/**
+ * Loads response redaction rules from REDACTION_RULES
+ * @param {Env} env - Environment variables
+ * @returns {{rules: {kinds: string[], paths: Object[][]}[], error?: string}} Compiled rules
+ */
+export function loadRedactionRules(env) {
+  if (!env.REDACTION_RULES) {
+    return { rules: [] };
+  }
+  const rules = tryParseJson(env.REDACTION_RULES);
+  if (!Array.isArray(rules)) {
+    return { rules: [], error: 'REDACTION_RULES must be a JSON array' };
+  }
+  try {
+    return {
+      rules: rules.map(rule => ({
+        kinds: Array.isArray(rule.kinds) ? rule.kinds : ['*'],
+        paths: (Array.isArray(rule.paths) ? rule.paths : [rule.path]).map(compileRedactionPath),
+      })),
+    };
+  } catch (err) {
+    return { rules: [], error: err.message };
+  }
+}
+
+/**
+ * Narrows an Accept header to its JSON media types (keeping parameters such
+ * as `;as=Table`), falling back to plain JSON
+ * @param {string|null} accept - Accept header
+ * @returns {string} Accept header listing only JSON media types
+ */
+function jsonOnlyAccept(accept) {
+  const types = (accept || '').split(',').map(type => type.trim()).filter(type => /^application\/json\b/i.test(type));
+  return types.join(', ') || 'application/json';
+}
+
+/**
+ * Redacts a Kubernetes object, list, or Table returned by the API server
+ * @param {any} object - Parsed response object
+ * @param {RedactionOptions} options - Redaction settings
+ * @param {string} [kindHint] - Kind to assume when the object has none (list items)
+ * @returns {any} Redacted copy (or the original when nothing applies)
+ */
+export function redactKubernetesObject(object, options, kindHint = '') {
+  if (!object || typeof object !== 'object' || Array.isArray(object)) {
+    return object;
+  }
+  const kind = object.kind || kindHint;
+
+  if (kind === 'Table' && Array.isArray(object.rows)) {
+    return { ...object, rows: object.rows.map(row => (row.object ? { ...row, object: redactKubernetesObject(row.object, options) } : row)) };
+  }
+  if (kind.endsWith('List') && Array.isArray(object.items)) {
+    return { ...object, items: object.items.map(item => redactKubernetesObject(item, options, kind.slice(0, -4))) };
+  }
+
+  let result = object;
+  if (options.redactSecrets && kind === 'Secret') {
+    result = redactSecretData(result, true);
+  }
+  const rules = options.rules.filter(rule => rule.kinds.includes('*') || rule.kinds.includes(kind));
+  if (rules.length > 0) {
+    result = structuredClone(result);
+    for (const rule of rules) {
+      for (const tokens of rule.paths) {
+        applyRedactionPath(result, tokens);
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Applies redaction to a JSON response body. Watch streams are transformed
+ * event by event; protobuf, YAML and other non-JSON bodies pass through untouched.
+ * @param {Response} response - Upstream response
+ * @param {RedactionOptions} options - Redaction settings
+ * @param {boolean} isWatch - True if the body is a newline-delimited watch stream
+ * @returns {Promise<Response>} Redacted response
+ */
+export async function redactResponse(response, options, isWatch) {
+  const contentType = response.headers.get('Content-Type') || '';
+  if (!response.body || !/^application\/json\b/i.test(contentType)) {
+    return response;
+  }
+
+  const headers = new Headers(response.headers);
+  headers.delete('Content-Length');
+  const init = { status: response.status, statusText: response.statusText, headers };
+
+  if (isWatch) {
+    const redactLine = (line) => {
+      const event = line.trim() ? tryParseJson(line) : undefined;
+      if (!event || typeof event !== 'object' || !('object' in event)) {
+        return line;
+      }
+      return JSON.stringify({ ...event, object: redactKubernetesObject(event.object, options) });
+    };
+    const decoder = new TextDecoder();
+    const encoder = new TextEncoder();
+    let buffered = '';
+    const transform = new TransformStream({
+      transform(chunk, controller) {
+        buffered += decoder.decode(chunk, { stream: true });
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        for (const line of lines) {
+          controller.enqueue(encoder.encode(redactLine(line) + '\n'));
+        }
+      },
+      flush(controller) {
+        buffered += decoder.decode();
+        if (buffered) {
+          controller.enqueue(encoder.encode(redactLine(buffered)));
+        }
+      },
+    });
+    return new Response(response.body.pipeThrough(transform), init);
+  }
+
+  const text = await response.text();
+  const object = tryParseJson(text);
+  if (object === undefined) {
+    return new Response(text, init);
+  }
+  return new Response(JSON.stringify(redactKubernetesObject(object, options)), init);
+}
+
+/**
+ * Formats one watch event line as a Server-Sent Events frame: the event type
+ * becomes `event:`, the object's resourceVersion `id:` and the object `data:`
+ * @param {string} line - Newline-delimited watch event
+ * @returns {string} SSE frame ('' for blank lines)
+ */
+export function formatWatchEvent(line) {
+  if (!line.trim()) {
+    return '';
+  }
+  const event = tryParseJson(line);
+  if (!event || typeof event !== 'object' || typeof event.type !== 'string') {
+    return `data: ${line.trim()}\n\n`;
+  }
+  const resourceVersion = event.type !== 'ERROR' ? event.object?.metadata?.resourceVersion : undefined;
+  return `event: ${event.type}\n${resourceVersion ? `id: ${resourceVersion}\n` : ''}data: ${JSON.stringify(event.object ?? null)}\n\n`;
+}
+
+/**
+ * Converts a newline-delimited watch stream into `text/event-stream`, with
+ * comment heartbeats so idle connections are not closed by intermediaries
+ * @param {Response} response - Successful upstream watch response
+ * @param {number} [heartbeatMs] - Heartbeat interval (0 disables)
+ * @returns {Response} Event stream response
+ */
+export function watchToEventStream(response, heartbeatMs = DEFAULT_SSE_HEARTBEAT_MS) {
+  const headers = new Headers(response.headers);
+  headers.delete('Content-Length');
+  headers.set('Content-Type', 'text/event-stream; charset=utf-8');
+
+  const decoder = new TextDecoder();
+  const encoder = new TextEncoder();
+  let buffered = '';
+  let heartbeat;
+  const transform = new TransformStream({
+    start(controller) {
+      if (heartbeatMs > 0) {
+        heartbeat = setInterval(() => {
+          try {
+            controller.enqueue(encoder.encode(': heartbeat\n\n'));
+          } catch {
+            // The client went away
+            clearInterval(heartbeat);
+          }
+        }, heartbeatMs);
+      }
+    },
+    transform(chunk, controller) {
+      buffered += decoder.decode(chunk, { stream: true });
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+      const frames = lines.map(formatWatchEvent).join('');
+      if (frames) {
+        controller.enqueue(encoder.encode(frames));
+      }
+    },
+    flush(controller) {
+      clearInterval(heartbeat);
+      buffered += decoder.decode();
+      const frame = formatWatchEvent(buffered);
+      if (frame) {
+        controller.enqueue(encoder.encode(frame));
+      }
+    },
+    cancel() {
+      clearInterval(heartbeat);
+    },
+  });
+  return new Response(response.body.pipeThrough(transform), { status: response.status, statusText: response.statusText, headers });
+}
+
+/**
+ * Checks the Origin of a WebSocket upgrade. CORS does not protect WebSockets,
+ * so a wildcard ALLOWED_ORIGIN only admits the proxy's own origin; requests
+ * without an Origin (kubectl and other non-browser clients) are allowed
+ * @param {string|null} origin - Origin header
+ * @param {string} allowedOrigins - ALLOWED_ORIGIN setting
+ * @param {string} proxyOrigin - Origin of the proxy itself
+ * @returns {boolean} True when the upgrade may proceed
+ */
+export function validateWebSocketOrigin(origin, allowedOrigins, proxyOrigin) {
+  if (!origin || origin.toLowerCase() === proxyOrigin.toLowerCase()) {
+    return true;
+  }
+  return allowedOrigins !== '*' && validateOrigin(origin, allowedOrigins).allowed;
+}
+
+/**
+ * Validates the subprotocols offered in Sec-WebSocket-Protocol against the
+ * Kubernetes streaming protocols. Bearer token subprotocols are dropped
+ * @param {string|null} header - Sec-WebSocket-Protocol request header
+ * @returns {{protocols: string[], error?: string}} Subprotocols to offer upstream
+ */
+export function parseWebSocketProtocols(header) {
+  const offered = (header || '').split(',').map(protocol => protocol.trim()).filter(Boolean);
+  const protocols = offered.filter(protocol => !protocol.startsWith(BEARER_SUBPROTOCOL_PREFIX));
+  const unsupported = protocols.find(protocol => !ALLOWED_WEBSOCKET_SUBPROTOCOLS.includes(protocol));
+  if (unsupported) {
+    return { protocols: [], error: `WebSocket subprotocol "${unsupported}" is not supported, use one of ${ALLOWED_WEBSOCKET_SUBPROTOCOLS.join(', ')}` };
+  }
+  return { protocols };
+}
+
+/**
+ * Returns the size in bytes of a WebSocket message
+ * @param {string|ArrayBuffer|ArrayBufferView} data - Message data
+ * @returns {number} Size in bytes
+ */
+function webSocketMessageSize(data) {
+  return typeof data === 'string' ? new TextEncoder().encode(data).length : data.byteLength ?? 0;
+}
+
+/**
+ * Relays messages between two accepted WebSockets until either side closes or
+ * a limit is reached, then closes both sides
+ * @param {WebSocket} client - Server end of the client's WebSocketPair
+ * @param {WebSocket} upstream - WebSocket to the API server
+ * @param {Object} [options] - Relay options
+ * @param {number} [options.idleTimeoutMs] - Close after this long without messages (0 disables)
+ * @param {number} [options.maxDurationMs] - Close after this long (0 disables)
+ * @param {(side: 'client'|'upstream', data: string|ArrayBuffer) => void} [options.onMessage] - Called with each message before it is relayed
+ * @param {(session: WebSocketSession) => void} [options.onClose] - Called once when the session ends
+ */
+export function relayWebSockets(client, upstream, { idleTimeoutMs = 0, maxDurationMs = 0, onMessage = () => {}, onClose = () => {} } = {}) {
+  const startedAt = Date.now();
+  const bytes = { client: 0, upstream: 0 };
+  let closed = false;
+  let idleTimer;
+  let maxDurationTimer;
+
+  /**
+   * Ends the session once, closing both sides with the same code
+   * @param {number} code - Close code
+   * @param {string} reason - Close reason
+   * @param {'client'|'upstream'|'proxy'} closedBy - Side that ended the session
+   */
+  const finish = (code, reason, closedBy) => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    clearTimeout(idleTimer);
+    clearTimeout(maxDurationTimer);
+    // 1005/1006/1015 describe the connection and cannot be sent in a close frame
+    const sendableCode = code >= 1000 && code < 5000 && ![1004, 1005, 1006, 1015].includes(code) ? code : 1000;
+    for (const socket of [client, upstream]) {
+      try {
+        socket.close(sendableCode, reason);
+      } catch {
+        // Already closed
+      }
+    }
+    onClose({
+      bytesFromClient: bytes.client,
+      bytesFromUpstream: bytes.upstream,
+      durationMs: Date.now() - startedAt,
+      code: sendableCode,
+      reason,
+      closedBy,
+    });
+  };
+
+  const resetIdleTimer = () => {
+    if (idleTimeoutMs > 0) {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => finish(1000, 'idle timeout', 'proxy'), idleTimeoutMs);
+    }
+  };
+
+  for (const [from, to, side] of [[client, upstream, 'client'], [upstream, client, 'upstream']]) {
+    from.addEventListener('message', (event) => {
+      bytes[side] += webSocketMessageSize(event.data);
+      resetIdleTimer();
+      onMessage(side, event.data);
+      try {
+        to.send(event.data);
+      } catch {
+        finish(1011, 'relay failed', 'proxy');
+      }
+    });
+    from.addEventListener('close', (event) => finish(event.code, event.reason || '', side));
+    from.addEventListener('error', () => finish(1011, 'connection error', side));
+  }
+
+  resetIdleTimer();
+  if (maxDurationMs > 0) {
+    maxDurationTimer = setTimeout(() => finish(1000, 'maximum session duration reached', 'proxy'), maxDurationMs);
+  }
+}
+
+/**
+ * Resolves the recording level of an exec/attach session from
+ * SESSION_RECORDING_RULES (first match wins), falling back to SESSION_RECORDING
+ * @param {Env} env - Environment variables
+ * @param {string} method - HTTP method
+ * @param {RequestInfo} info - Parsed request info
+ * @param {ClientIdentity|null} identity - Authenticated client (null when authentication is disabled)
+ * @returns {{level: RecordingLevel, rule?: string, error?: string}} Recording level and the matching rule
+ */
+export function resolveRecordingLevel(env, method, info, identity) {
+  const defaultLevel = env.SESSION_RECORDING || 'None';
+  if (!RECORDING_LEVELS.includes(defaultLevel)) {
+    return { level: 'None', error: `SESSION_RECORDING must be one of ${RECORDING_LEVELS.join(', ')}` };
+  }
+  if (!env.SESSION_RECORDING_RULES) {
+    return { level: defaultLevel };
+  }
+  const rules = tryParseJson(env.SESSION_RECORDING_RULES);
+  if (!Array.isArray(rules)) {
+    return { level: 'None', error: 'SESSION_RECORDING_RULES must be a JSON array' };
+  }
+  for (const [index, rule] of rules.entries()) {
+    if (!rule || !RECORDING_LEVELS.includes(rule.level)) {
+      return { level: 'None', error: `SESSION_RECORDING_RULES[${index}].level must be one of ${RECORDING_LEVELS.join(', ')}` };
+    }
+  }
+  for (const [index, rule] of rules.entries()) {
+    const subjectMatches = !rule.subjects || (identity !== null && matchesList(rule.subjects, identity.subject));
+    const groupMatches = !rule.groups || (identity?.groups || []).some(group => matchesList(rule.groups, group));
+    if (subjectMatches && groupMatches && ruleMatches(rule, method, info)) {
+      return { level: rule.level, rule: rule.name || `rule[${index}]` };
+    }
+  }
+  return { level: defaultLevel };
+}
+
+/**
+ * Records a channel.k8s.io exec/attach session as an asciicast v2 file.
+ * stdout and stderr become output events, terminal resizes become resize
+ * events, and stdin is kept only when input capture is on
+ */
+export class SessionRecorder {
+  /**
+   * @param {SessionMetadata} metadata - Session metadata stored in the header
+   * @param {Object} [options] - Recorder options
+   * @param {boolean} [options.captureInput] - Record stdin as input events
+   * @param {number} [options.maxBytes] - Stop recording events after this much terminal data
+   * @param {number} [options.startedAt] - Session start (milliseconds since the epoch)
+   */
+  constructor(metadata, { captureInput = false, maxBytes = DEFAULT_SESSION_RECORDING_MAX_BYTES, startedAt = Date.now() } = {}) {
+    this.metadata = metadata;
+    this.captureInput = captureInput;
+    this.maxBytes = maxBytes;
+    this.startedAt = startedAt;
+    /** @type {[number, string, string][]} */
+    this.events = [];
+    this.bytes = 0;
+    this.truncated = false;
+    /** @type {{width: number, height: number}|null} */
+    this.size = null;
+    /** @type {number|undefined} */
+    this.exitCode = undefined;
+    /** @type {Map<number, TextDecoder>} */
+    this.decoders = new Map();
+  }
+
+  /**
+   * Records one relayed WebSocket message
+   * @param {'client'|'upstream'} side - Side that sent the message
+   * @param {string|ArrayBuffer|ArrayBufferView} data - Message data
+   * @param {number} [at] - Time the message was relayed (milliseconds since the epoch)
+   */
+  record(side, data, at = Date.now()) {
+    const frame = this.decodeFrame(data);
+    if (!frame || frame.payload.length === 0) {
+      return;
+    }
+    const { channel, payload } = frame;
+    if (side === 'client' && channel === STREAM_CHANNELS.resize) {
+      const size = tryParseJson(this.decodeText(channel, payload, false));
+      if (Number.isInteger(size?.Width) && Number.isInteger(size?.Height)) {
+        this.size ??= { width: size.Width, height: size.Height };
+        this.addEvent(at, 'r', `${size.Width}x${size.Height}`);
+      }
+    } else if (side === 'client' && channel === STREAM_CHANNELS.stdin) {
+      if (this.captureInput) {
+        this.addEvent(at, 'i', this.decodeText(channel, payload));
+      }
+    } else if (side === 'upstream' && (channel === STREAM_CHANNELS.stdout || channel === STREAM_CHANNELS.stderr)) {
+      this.addEvent(at, 'o', this.decodeText(channel, payload));
+    } else if (side === 'upstream' && channel === STREAM_CHANNELS.error) {
+      const status = tryParseJson(this.decodeText(channel, payload, false));
+      if (status?.status === 'Success') {
+        this.exitCode = 0;
+      } else {
+        const cause = status?.details?.causes?.find(c => c.reason === 'ExitCode');
+        if (cause && /^\d+$/.test(cause.message)) {
+          this.exitCode = Number(cause.message);
+        }
+      }
+    }
+  }
+
+  /**
+   * Splits a message into its channel and payload. Binary frames (v4/v5)
+   * start with a channel byte; base64.channel.k8s.io text frames start with
+   * the channel digit followed by base64 data
+   * @param {string|ArrayBuffer|ArrayBufferView} data - Message data
+   * @returns {{channel: number, payload: Uint8Array}|null} Frame, or null when it cannot be decoded
+   */
+  decodeFrame(data) {
+    if (typeof data === 'string') {
+      if (!/^[0-9]/.test(data)) {
+        return null;
+      }
+      try {
+        return { channel: Number(data[0]), payload: Uint8Array.from(atob(data.slice(1)), c => c.charCodeAt(0)) };
+      } catch {
+        return null;
+      }
+    }
+    const bytes = ArrayBuffer.isView(data) ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength) : new Uint8Array(data);
+    return bytes.length > 0 ? { channel: bytes[0], payload: bytes.subarray(1) } : null;
+  }
+
+  /**
+   * Decodes UTF-8 text of a channel, keeping characters split across frames intact
+   * @param {number} channel - Stream channel
+   * @param {Uint8Array} payload - Frame payload
+   * @param {boolean} [stream] - Whether more data of the channel may follow
+   * @returns {string} Decoded text
+   */
+  decodeText(channel, payload, stream = true) {
+    if (!stream) {
+      return new TextDecoder().decode(payload);
+    }
+    if (!this.decoders.has(channel)) {
+      this.decoders.set(channel, new TextDecoder());
+    }
+    return this.decoders.get(channel).decode(payload, { stream: true });
+  }
+
+  /**
+   * Appends an event unless the recording has reached its size limit
+   * @param {number} at - Event time (milliseconds since the epoch)
+   * @param {'o'|'i'|'r'} code - asciicast event code
+   * @param {string} text - Event data
+   */
+  addEvent(at, code, text) {
+    if (!text || this.truncated) {
+      return;
+    }
+    this.bytes += webSocketMessageSize(text);
+    if (this.bytes > this.maxBytes) {
+      this.truncated = true;
+      return;
+    }
+    this.events.push([Math.max(0, at - this.startedAt) / 1000, code, text]);
+  }
+
+  /**
+   * Serializes the recording as asciicast v2 (a JSON header line followed by one JSON event per line)
+   * @param {number} [endedAt] - Session end (milliseconds since the epoch)
+   * @returns {string} asciicast v2 document
+   */
+  toAsciicast(endedAt = Date.now()) {
+    const { namespace, pod, container, command, subresource } = this.metadata;
+    const header = {
+      version: 2,
+      width: this.size?.width ?? 80,
+      height: this.size?.height ?? 24,
+      timestamp: Math.floor(this.startedAt / 1000),
+      duration: Math.max(0, endedAt - this.startedAt) / 1000,
+      ...(command ? { command } : {}),
+      title: `${subresource} ${namespace}/${pod}${container ? ` -c ${container}` : ''}`,
+      kubernetes: {
+        ...this.metadata,
+        ...(this.exitCode !== undefined ? { exitCode: this.exitCode } : {}),
+        ...(this.truncated ? { truncated: true } : {}),
+      },
+    };
+    return [header, ...this.events].map(line => JSON.stringify(line)).join('\n') + '\n';
+  }
+}
+
+/**
+ * Builds the series key for a label set (labels sorted by name)
+ * @param {Object<string, string>} labels - Metric labels
+ * @returns {string} Prometheus label string, e.g. `code="2xx",method="GET"`
+ */
+function formatLabels(labels) {
+  return Object.keys(labels)
+    .sort()
+    .map(name => `${name}="${String(labels[name]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`)
+    .join(',');
+}
+
+/**
+ * Adds samples to a metrics snapshot (mutates the snapshot)
+ * @param {MetricsSnapshot} snapshot - Aggregated metrics
+ * @param {MetricSample[]} samples - Samples to add
+ * @returns {MetricsSnapshot} The updated snapshot
+ */
+export function applyMetricSamples(snapshot, samples) {
+  for (const { name, labels = {}, value = 1 } of samples) {
+    const definition = METRIC_DEFINITIONS[name];
+    if (!definition) {
+      continue;
+    }
+    const series = (snapshot[name] ??= {});
+    let key = formatLabels(labels);
+    if (!(key in series) && Object.keys(series).length >= MAX_METRIC_SERIES) {
+      key = formatLabels(Object.fromEntries(Object.keys(labels).map(label => [label, 'other'])));
+    }
+
+    if (definition.type === 'counter') {
+      series[key] = (series[key] || 0) + value;
+    } else {
+      const histogram = (series[key] ??= { buckets: METRIC_HISTOGRAM_BUCKETS.map(() => 0), sum: 0, count: 0 });
+      METRIC_HISTOGRAM_BUCKETS.forEach((bound, i) => {
+        if (value <= bound) {
+          histogram.buckets[i]++;
+        }
+      });
+      histogram.sum += value;
+      histogram.count++;
+    }
+  }
+  return snapshot;
+}
+
+/**
+ * Bounds the values of client-controlled metric labels. Resource names only
+ * become labels once the API server has recognised the path (any status but
+ * 404), so arbitrary paths cannot create series
+ * @param {string} method - HTTP method
+ * @param {string} resource - Resource (or subresource) parsed from the path
+ * @param {number} status - Upstream response status
+ * @returns {{method: string, resource: string}} Label values
+ */
+function metricLabels(method, resource, status) {
+  return {
+    method: METRIC_METHODS.includes(method) ? method : 'other',
+    resource: !resource ? '' : status === 404 || !/^[a-z0-9][a-z0-9.-]{0,62}$/.test(resource) ? 'other' : resource,
+  };
+}
+
+/**
+ * Renders a metrics snapshot in the Prometheus text exposition format
+ * @param {MetricsSnapshot} snapshot - Aggregated metrics
+ * @returns {string} Exposition text
+ */
+export function renderPrometheusMetrics(snapshot) {
+  const lines = [];
+  for (const [name, definition] of Object.entries(METRIC_DEFINITIONS)) {
+    lines.push(`# HELP ${name} ${definition.help}`, `# TYPE ${name} ${definition.type}`);
+    for (const [key, value] of Object.entries(snapshot[name] || {})) {
+      if (definition.type === 'counter') {
+        lines.push(`${name}${key ? `{${key}}` : ''} ${value}`);
+        continue;
+      }
+      const prefix = key ? `${key},` : '';
+      METRIC_HISTOGRAM_BUCKETS.forEach((bound, i) => {
+        lines.push(`${name}_bucket{${prefix}le="${bound}"} ${value.buckets[i]}`);
+      });
+      lines.push(
+        `${name}_bucket{${prefix}le="+Inf"} ${value.count}`,
+        `${name}_sum${key ? `{${key}}` : ''} ${value.sum}`,
+        `${name}_count${key ? `{${key}}` : ''} ${value.count}`
+      );
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * In-memory metrics store, scoped to a single isolate.
+ * Used when no METRICS Durable Object is bound (and in tests).
+ */
+export class MemoryMetricsStore {
+  constructor() {
+    /** @type {MetricsSnapshot} */
+    this.metrics = {};
+  }
+
+  /**
+   * @param {MetricSample[]} samples - Samples to add
+   * @returns {Promise<void>}
+   */
+  async record(samples) {
+    applyMetricSamples(this.metrics, samples);
+  }
+
+  /**
+   * @returns {Promise<MetricsSnapshot>} Aggregated metrics
+   */
+  async snapshot() {
+    return this.metrics;
+  }
+}
+
+/**
+ * Metrics store backed by the MetricsAggregator Durable Object (a single global instance)
+ */
+export class DurableObjectMetricsStore {
+  /**
+   * @param {DurableObjectNamespace} namespace - METRICS binding
+   */
+  constructor(namespace) {
+    this.stub = namespace.get(namespace.idFromName('global'));
+  }
+
+  /**
+   * @param {MetricSample[]} samples - Samples to add
+   * @returns {Promise<void>}
+   */
+  async record(samples) {
+    const response = await this.stub.fetch('https://metrics/record', {
+      method: 'POST',
+      body: JSON.stringify(samples),
+    });
+    if (!response.ok) {
+      throw new Error(`Metrics aggregator returned status ${response.status}`);
+    }
+  }
+
+  /**
+   * @returns {Promise<MetricsSnapshot>} Aggregated metrics
+   */
+  async snapshot() {
+    const response = await this.stub.fetch('https://metrics/snapshot');
+    if (!response.ok) {
+      throw new Error(`Metrics aggregator returned status ${response.status}`);
+    }
+    return response.json();
+  }
+}
+
+/**
+ * Durable Object aggregating metrics from every isolate. Each metric is
+ * stored under its own key (bounded by MAX_METRIC_SERIES, well below the
+ * storage value limit) and kept in memory between requests, so recording
+ * costs one write per touched metric
+ */
+export class MetricsAggregator {
+  /**
+   * @param {DurableObjectState} state - Durable Object state
+   * @param {Env} _env - Environment variables (unused)
+   */
+  constructor(state, _env) {
+    this.state = state;
+    /** @type {MetricsSnapshot|null} */
+    this.snapshot = null;
+  }
+
+  /**
+   * Loads the stored metrics once per Durable Object instance
+   * @returns {Promise<MetricsSnapshot>} Aggregated metrics
+   */
+  async load() {
+    if (!this.snapshot) {
+      const snapshot = {};
+      for (const name of Object.keys(METRIC_DEFINITIONS)) {
+        const series = await this.state.storage.get(`metric:${name}`);
+        if (series) {
+          snapshot[name] = series;
+        }
+      }
+      this.snapshot ??= snapshot;
+    }
+    return this.snapshot;
+  }
+
+  /**
+   * @param {Request} request - POST /record with samples, or GET /snapshot
+   * @returns {Promise<Response>} Snapshot JSON or 204
+   */
+  async fetch(request) {
+    const snapshot = await this.load();
+    if (request.method === 'POST') {
+      /** @type {MetricSample[]} */
+      const samples = await request.json();
+      applyMetricSamples(snapshot, samples);
+      for (const name of new Set(samples.map(sample => sample.name))) {
+        if (snapshot[name]) {
+          await this.state.storage.put(`metric:${name}`, snapshot[name]);
+        }
+      }
+      return new Response(null, { status: 204 });
+    }
+    return new Response(JSON.stringify(snapshot), {
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+}
+
+/** @type {MemoryMetricsStore} */
+const memoryMetricsStore = new MemoryMetricsStore();
+
+/**
+ * Returns the metrics store for this deployment
+ * @param {Env} env - Environment variables
+ * @returns {MemoryMetricsStore|DurableObjectMetricsStore} Store
+ */
+function getMetricsStore(env) {
+  return env.METRICS ? new DurableObjectMetricsStore(env.METRICS) : memoryMetricsStore;
+}
+
+/**
+ * Per-cluster circuit breaker. After `threshold` consecutive upstream failures
+ * the circuit opens and requests fail fast for `cooldownMs`; then a single
+ * trial request is let through to decide whether to close it again.
+ */
+export class CircuitBreaker {
+  /**
+   * @param {Object} options - Breaker settings
+   * @param {number} options.threshold - Consecutive failures that open the circuit
+   * @param {number} options.cooldownMs - How long the circuit stays open
+   */
+  constructor({ threshold, cooldownMs }) {
+    this.threshold = threshold;
+    this.cooldownMs = cooldownMs;
+    this.failures = 0;
+    /** @type {number|null} */
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Checks whether a request may be sent upstream
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {{allowed: boolean, retryAfterSeconds?: number}} Decision
+   */
+  check(now = Date.now()) {
+    if (this.openedAt === null) {
+      return { allowed: true };
+    }
+    const remainingMs = this.openedAt + this.cooldownMs - now;
+    if (remainingMs > 0) {
+      return { allowed: false, retryAfterSeconds: Math.ceil(remainingMs / 1000) };
+    }
+    if (this.trialInFlight) {
+      return { allowed: false, retryAfterSeconds: 1 };
+    }
+    this.trialInFlight = true;
+    return { allowed: true };
+  }
+
+  /** Records a healthy upstream response and closes the circuit */
+  recordSuccess() {
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Records an upstream failure, opening (or re-opening) the circuit when needed
+   * @param {number} [now] - Current time in milliseconds
+   */
+  recordFailure(now = Date.now()) {
+    this.failures++;
+    if (this.trialInFlight || this.failures >= this.threshold) {
+      this.openedAt = now;
+    }
+    this.trialInFlight = false;
+  }
+}
+
+/** @type {Map<string, CircuitBreaker>} */
+const circuitBreakers = new Map();
+
+/**
+ * Returns the circuit breaker for a cluster, or null when CIRCUIT_BREAKER_THRESHOLD is unset
+ * @param {Env} env - Environment variables
+ * @param {ClusterTarget} cluster - Target cluster
+ * @returns {CircuitBreaker|null} Breaker shared by all requests to the cluster in this isolate
+ */
+function getCircuitBreaker(env, cluster) {
+  const threshold = Number(env.CIRCUIT_BREAKER_THRESHOLD) || 0;
+  if (threshold <= 0) {
+    return null;
+  }
+  const cooldownMs = Number(env.CIRCUIT_BREAKER_COOLDOWN_MS) || DEFAULT_CIRCUIT_BREAKER_COOLDOWN_MS;
+  const key = `${cluster.name}|${cluster.url}|${threshold}|${cooldownMs}`;
+  if (!circuitBreakers.has(key)) {
+    circuitBreakers.set(key, new CircuitBreaker({ threshold, cooldownMs }));
+  }
+  return circuitBreakers.get(key);
+}
+
+/**
+ * Sends a request upstream with a timeout, retries and an optional circuit breaker.
+ * Only GET/HEAD are retried, and only before response headers arrive, so a
+ * watch is retried on connect but never once it is streaming.
+ * @param {Request} apiRequest - Upstream request
+ * @param {Object} [options] - Resilience settings
+ * @param {number} [options.timeoutMs] - Time allowed until response headers (0 disables)
+ * @param {number} [options.retries] - Additional attempts for idempotent requests
+ * @param {number} [options.retryBaseMs] - Base delay for exponential backoff with full jitter
+ * @param {CircuitBreaker|null} [options.breaker] - Circuit breaker for the target cluster
+ * @param {() => RequestBodyTooLargeError|null} [options.bodyLimitError] - Overflow recorded by limitRequestBody
+ * @returns {Promise<Response>} Upstream response
+ * @throws {UpstreamError} On timeout, connection failure or open circuit
+ * @throws {RequestBodyTooLargeError} When the request body passed its limit
+ */
+export async function fetchUpstream(apiRequest, { timeoutMs = 0, retries = 0, retryBaseMs = DEFAULT_RETRY_BASE_MS, breaker = null, bodyLimitError = () => null } = {}) {
+  if (breaker) {
+    const gate = breaker.check();
+    if (!gate.allowed) {
+      throw new UpstreamError('Circuit breaker is open', {
+        reason: 'circuit_open',
+        status: 503,
+        retryAfterSeconds: gate.retryAfterSeconds,
+      });
+    }
+  }
+
+  const maxAttempts = ['GET', 'HEAD'].includes(apiRequest.method) ? retries + 1 : 1;
+  for (let attempt = 1; ; attempt++) {
+    const isLastAttempt = attempt >= maxAttempts;
+    const controller = new AbortController();
+    const timer = timeoutMs > 0 ? setTimeout(() => controller.abort(), timeoutMs) : null;
+
+    try {
+      const response = await fetch(apiRequest, { signal: controller.signal });
+      if (!RETRYABLE_STATUSES.includes(response.status)) {
+        breaker?.recordSuccess();
+        return response;
+      }
+      if (isLastAttempt) {
+        breaker?.recordFailure();
+        return response;
+      }
+      await response.body?.cancel();
+    } catch (err) {
+      // An oversized client body is not an upstream failure, however fetch reports it
+      const tooLarge = bodyLimitError()
+        || (err instanceof RequestBodyTooLargeError ? err : null)
+        || (err.cause instanceof RequestBodyTooLargeError ? err.cause : null);
+      if (tooLarge) {
+        throw tooLarge;
+      }
+      if (controller.signal.aborted) {
+        breaker?.recordFailure();
+        throw new UpstreamError(`Upstream did not respond within ${timeoutMs} ms`, { reason: 'timeout', status: 504, cause: err });
+      }
+      if (isLastAttempt) {
+        breaker?.recordFailure();
+        throw new UpstreamError(err.message, { reason: 'connect_failure', status: 502, cause: err });
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const backoffMs = Math.min(MAX_RETRY_DELAY_MS, retryBaseMs * 2 ** (attempt - 1));
+    await new Promise(resolve => setTimeout(resolve, Math.random() * backoffMs));
+  }
+}
+
+/**
+ * Checks that the injected token authenticates, using a SelfSubjectReview and
+ * falling back to a SelfSubjectAccessReview on clusters older than 1.28
+ * @param {(path: string, body?: Object) => Promise<Response>} send - Sends a probe to the cluster
+ * @returns {Promise<{status: number, valid: boolean|null}>} Review status; 403 still proves authentication
+ */
+async function reviewToken(send) {
+  let response = await send('/apis/authentication.k8s.io/v1/selfsubjectreviews', {
+    apiVersion: 'authentication.k8s.io/v1',
+    kind: 'SelfSubjectReview',
+  });
+  if (response.status === 404) {
+    await response.body?.cancel();
+    response = await send('/apis/authorization.k8s.io/v1/selfsubjectaccessreviews', {
+      apiVersion: 'authorization.k8s.io/v1',
+      kind: 'SelfSubjectAccessReview',
+      spec: { nonResourceAttributes: { path: '/version', verb: 'get' } },
+    });
+  }
+  await response.body?.cancel();
+
+  if (response.ok || response.status === 403) {
+    return { status: response.status, valid: true };
+  }
+  return { status: response.status, valid: response.status === 401 ? false : null };
+}
+
+/**
+ * Probes a cluster's /readyz and /version and validates its token, all within one time budget
+ * @param {ClusterTarget} cluster - Cluster to probe
+ * @param {Object} [options] - Probe settings
+ * @param {number} [options.timeoutMs] - Time allowed for all probes together
+ * @param {string} [options.allowedHosts] - Upstream host allowlist (UPSTREAM_ALLOWED_HOSTS)
+ * @param {boolean} [options.dnsCheck] - Also validate the addresses the hostname resolves to
+ * @param {boolean} [options.verboseErrors] - Report raw error messages (otherwise only which check failed)
+ * @returns {Promise<ClusterReadiness>} Readiness report
+ */
+export async function probeCluster(cluster, { timeoutMs = DEFAULT_READINESS_TIMEOUT_MS, allowedHosts = '', dnsCheck = false, verboseErrors = true } = {}) {
+  /** @type {ClusterReadiness} */
+  const result = {
+    name: cluster.name,
+    ready: false,
+    reachable: false,
+    readyz: false,
+    latencyMs: null,
+    serverVersion: null,
+    tokenValid: null,
+    errors: [],
+  };
+
+  let urlValidation = validateApiUrl(cluster.url, allowedHosts);
+  if (urlValidation.valid && dnsCheck) {
+    urlValidation = await validateResolvedHost(new URL(cluster.url).hostname);
+  }
+  if (!urlValidation.valid) {
+    result.errors.push(verboseErrors ? `config: ${urlValidation.error}` : 'config: upstream URL rejected');
+    return result;
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  /** @type {(path: string, body?: Object) => Promise<Response>} */
+  const send = async (path, body) => {
+    const headers = new Headers({ Accept: 'application/json', 'User-Agent': `Kubernetes-API-Proxy/${VERSION}` });
+    if (cluster.token) {
+      headers.set('Authorization', `Bearer ${cluster.token}`);
     }
-    if (!url.hostname || url.hostname.length === 0) {
-      return { valid: false, error: 'URL must have a valid hostname' };
+    if (body) {
+      headers.set('Content-Type', 'application/json');
     }
-    // Prevent localhost/private IPs in production
-    const hostname = url.hostname.toLowerCase();
-    if (hostname === 'localhost' || hostname === '127.0.0.1' || hostname.startsWith('192.168.') || hostname.startsWith('10.')) {
-      return { valid: false, error: 'URL cannot point to localhost or private networks' };
+    const response = await fetch(new Request(new URL(path, cluster.url).toString(), {
+      method: body ? 'POST' : 'GET',
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+      signal: controller.signal,
+    }));
+    result.reachable = true;
+    return response;
+  };
+
+  /**
+   * Runs one check, recording a thrown error or a returned failure reason
+   * @param {string} name - Check name used in error messages
+   * @param {() => Promise<string|void>} run - Resolves to a failure reason, if any
+   */
+  const check = async (name, run) => {
+    try {
+      const failure = await run();
+      if (failure) {
+        result.errors.push(`${name}: ${failure}`);
+      }
+    } catch (err) {
+      const reason = controller.signal.aborted ? `no response within ${timeoutMs} ms` : verboseErrors ? err.message : 'request failed';
+      result.errors.push(`${name}: ${reason}`);
     }
-    return { valid: true };
-  } catch {
-    return { valid: false, error: 'URL is malformed' };
+  };
+
+  const startedAt = Date.now();
+  try {
+    await Promise.all([
+      check('readyz', async () => {
+        const response = await send('/readyz');
+        result.latencyMs = Date.now() - startedAt;
+        result.readyz = response.status === 200;
+        await response.body?.cancel();
+        return result.readyz ? undefined : `HTTP ${response.status}`;
+      }),
+      check('version', async () => {
+        const response = await send('/version');
+        const info = tryParseJson(await response.text());
+        if (!response.ok || typeof info?.gitVersion !== 'string') {
+          return `HTTP ${response.status}`;
+        }
+        result.serverVersion = info.gitVersion;
+      }),
+      cluster.token && check('token', async () => {
+        const review = await reviewToken(send);
+        result.tokenValid = review.valid;
+        if (review.valid === false) {
+          return 'rejected by the API server';
+        }
+        return review.valid ? undefined : `HTTP ${review.status}`;
+      }),
+    ]);
+  } finally {
+    clearTimeout(timer);
   }
+
+  result.ready = result.errors.length === 0;
+  return result;
 }
 
 /**
- * Validates the request origin against allowed origins
- * @param {string|null} origin - Request origin header
- * @param {string} allowedOrigins - Comma-separated list of allowed origins or '*'
- * @returns {{allowed: boolean, matchedOrigin: string}} Validation result
+ * Generates a random lowercase hex string
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} Hex string of 2 * bytes characters
  */
-export function validateOrigin(origin, allowedOrigins) {
-  // If allowed is '*', allow all
-  if (allowedOrigins === '*') {
-    return { allowed: true, matchedOrigin: '*' };
-  }
-  
-  // If no origin header, reject for strict CORS
-  if (!origin) {
-    return { allowed: false, matchedOrigin: '' };
+function randomHex(bytes) {
+  return Array.from(crypto.getRandomValues(new Uint8Array(bytes)), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Parses a W3C `traceparent` header. Versions other than 00 are read by their
+ * 00 prefix, as the spec requires; all-zero IDs and version ff are invalid.
+ * @param {string|null} value - Header value
+ * @returns {{traceId: string, parentSpanId: string, sampled: boolean}|null} Parent context, or null if invalid
+ */
+export function parseTraceparent(value) {
+  const match = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/.exec((value || '').trim());
+  if (!match) {
+    return null;
   }
-  
-  // Parse allowed origins list
-  const allowedList = allowedOrigins.split(',').map(o => o.trim().toLowerCase());
-  const requestOrigin = origin.toLowerCase();
-  
-  // Check for exact match
-  if (allowedList.includes(requestOrigin)) {
-    return { allowed: true, matchedOrigin: origin };
+  const [, version, traceId, parentSpanId, flags, rest] = match;
+  if (version === 'ff' || (version === '00' && rest) || /^0+$/.test(traceId) || /^0+$/.test(parentSpanId)) {
+    return null;
   }
-  
-  // Check for wildcard subdomain matching (e.g., *.example.com)
-  for (const allowed of allowedList) {
-    if (allowed.startsWith('*.')) {
-      const baseDomain = allowed.slice(2);
-      try {
-        const originUrl = new URL(requestOrigin);
-        if (originUrl.hostname.endsWith('.' + baseDomain) || originUrl.hostname === baseDomain) {
-          return { allowed: true, matchedOrigin: origin };
-        }
-      } catch {
-        // Invalid origin URL, continue checking
-      }
-    }
+  return { traceId, parentSpanId, sampled: (parseInt(flags, 16) & 1) === 1 };
+}
+
+/**
+ * Continues the incoming trace, or starts a new sampled one when there is no valid `traceparent`
+ * @param {Headers} headers - Client request headers
+ * @returns {TraceContext} Trace context with a fresh span ID for this hop
+ */
+export function createTraceContext(headers) {
+  const parent = parseTraceparent(headers.get('traceparent'));
+  if (!parent) {
+    return { traceId: randomHex(16), spanId: randomHex(8), sampled: true };
   }
-  
-  return { allowed: false, matchedOrigin: '' };
+  const tracestate = headers.get('tracestate');
+  return { ...parent, spanId: randomHex(8), ...(tracestate ? { tracestate } : {}) };
 }
 
 /**
- * Sanitizes path to prevent traversal attacks
- * @param {string} path - Path to sanitize
- * @returns {string} Sanitized path
+ * Sets the trace headers for the upstream request, with this hop as the parent span
+ * @param {Headers} headers - Upstream request headers
+ * @param {TraceContext} trace - Trace context
  */
-export function sanitizePath(path) {
-  // Remove any path traversal attempts
-  let sanitized = path.replace(/\.\./g, '').replace(/\/+/g, '/');
-  // Ensure path starts with /
-  if (!sanitized.startsWith('/')) {
-    sanitized = '/' + sanitized;
+function setTraceHeaders(headers, trace) {
+  headers.set('traceparent', `00-${trace.traceId}-${trace.spanId}-${trace.sampled ? '01' : '00'}`);
+  if (trace.tracestate) {
+    headers.set('tracestate', trace.tracestate);
+  } else {
+    headers.delete('tracestate');
   }
-  return sanitized;
 }
 
 /**
- * Creates a sanitized error response based on environment
- * @param {Error} err - The error object
- * @param {string} requestId - Request ID for tracking
- * @param {string} environment - Current environment (development/production)
- * @param {string} allowedOrigin - CORS allowed origin
- * @returns {Response} Error response
+ * Converts an attribute map to OTLP key/value pairs, skipping empty values
+ * @param {Object<string, string|number|boolean|undefined>} attributes - Attributes
+ * @returns {Object[]} OTLP attributes
  */
-export function createErrorResponse(err, requestId, environment, allowedOrigin) {
-  const isDev = environment === 'development';
-  
-  /** @type {Object} */
-  const errorBody = {
-    error: 'Gateway Error',
-    message: 'The Kubernetes API server could not be reached.',
-    requestId
+function toOtlpAttributes(attributes) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => {
+      if (typeof value === 'boolean') {
+        return { key, value: { boolValue: value } };
+      }
+      if (Number.isInteger(value)) {
+        return { key, value: { intValue: String(value) } };
+      }
+      return { key, value: typeof value === 'number' ? { doubleValue: value } : { stringValue: String(value) } };
+    });
+}
+
+/**
+ * Builds an OTLP/HTTP JSON span for a proxied request
+ * @param {Object} options - Span data
+ * @param {TraceContext} options.trace - Trace context
+ * @param {string} options.name - Span name
+ * @param {number} options.startTimeMs - Request receipt time
+ * @param {number} options.endTimeMs - Response time
+ * @param {Object<string, string|number|boolean|undefined>} options.attributes - Span attributes
+ * @param {string} [options.error] - Error message; marks the span as failed
+ * @returns {Object} OTLP span
+ */
+export function buildOtlpSpan({ trace, name, startTimeMs, endTimeMs, attributes, error }) {
+  const status = attributes['http.response.status_code'];
+  const failed = Boolean(error) || (typeof status === 'number' && status >= 500);
+  return {
+    traceId: trace.traceId,
+    spanId: trace.spanId,
+    ...(trace.parentSpanId ? { parentSpanId: trace.parentSpanId } : {}),
+    ...(trace.tracestate ? { traceState: trace.tracestate } : {}),
+    name,
+    kind: OTLP_SPAN_KIND_SERVER,
+    // Millisecond timestamps, expressed in nanoseconds
+    startTimeUnixNano: `${Math.round(startTimeMs)}000000`,
+    endTimeUnixNano: `${Math.round(endTimeMs)}000000`,
+    attributes: toOtlpAttributes({ ...attributes, 'error.type': error ? 'exception' : undefined }),
+    status: failed ? { code: OTLP_STATUS_CODE_ERROR, ...(error ? { message: error } : {}) } : {},
   };
-  
-  // Only include details in development mode
-  if (isDev) {
-    errorBody.details = err.message;
-    errorBody.stack = err.stack;
+}
+
+/**
+ * Sends spans to the configured OTLP/HTTP traces endpoint
+ * @param {Env} env - Environment variables
+ * @param {Object[]} spans - OTLP spans
+ * @returns {Promise<void>}
+ */
+async function exportSpans(env, spans) {
+  const endpoint = env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT || `${env.OTEL_EXPORTER_OTLP_ENDPOINT.replace(/\/$/, '')}/v1/traces`;
+  const headers = new Headers({ 'Content-Type': 'application/json' });
+  for (const pair of (env.OTEL_EXPORTER_OTLP_HEADERS || '').split(',')) {
+    const separator = pair.indexOf('=');
+    if (separator > 0) {
+      headers.set(pair.slice(0, separator).trim(), decodeURIComponent(pair.slice(separator + 1).trim()));
+    }
   }
-  
-  return new Response(JSON.stringify(errorBody), {
-    status: 502,
-    headers: {
-      'Content-Type': 'application/json',
-      'Access-Control-Allow-Origin': allowedOrigin || '*',
-    },
+
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      resourceSpans: [{
+        resource: {
+          attributes: toOtlpAttributes({ 'service.name': env.OTEL_SERVICE_NAME || DEFAULT_OTEL_SERVICE_NAME, 'service.version': VERSION }),
+        },
+        scopeSpans: [{ scope: { name: DEFAULT_OTEL_SERVICE_NAME, version: VERSION }, spans }],
+      }],
+    }),
   });
+  if (!response.ok) {
+    throw new Error(`OTLP export failed with status ${response.status}`);
+  }
 }
 
 export default {
@@ -152,14 +4397,15 @@ export default {
    * Main fetch handler for the Kubernetes API Proxy
    * @param {Request} request - Incoming request
    * @param {Env} env - Environment variables
-   * @param {ExecutionContext} _ctx - Execution context (unused)
+   * @param {ExecutionContext} [ctx] - Execution context
    * @returns {Promise<Response>} Response to return
    */
-  async fetch(request, env, _ctx) {
+  async fetch(request, env, ctx) {
     const startTime = Date.now();
     const requestId = crypto.randomUUID();
     const url = new URL(request.url);
     const environment = env.ENVIRONMENT || 'production';
+    const trace = createTraceContext(request.headers);
 
     /**
      * Helper for structured logging with levels
@@ -177,162 +4423,1247 @@ export default {
         message,
         timestamp: new Date().toISOString(),
         requestId,
+        traceId: trace.traceId,
         environment,
         ...data
       }));
     };
 
-    try {
-      // 1. Configuration Validation
-      const UPSTREAM_URL = env.K8S_API_URL || DEFAULT_UPSTREAM_URL;
-      const ALLOWED_ORIGIN = env.ALLOWED_ORIGIN || '*';
-      
-      // Validate K8S_API_URL format
-      const urlValidation = validateApiUrl(UPSTREAM_URL);
-      if (!urlValidation.valid) {
-        log('error', 'Invalid K8S_API_URL configuration', { error: urlValidation.error });
-        return new Response(JSON.stringify({
-          error: 'Configuration Error',
-          message: environment === 'development' ? urlValidation.error : 'Server misconfigured',
-          requestId
-        }), {
-          status: 500,
-          headers: { 'Content-Type': 'application/json' }
-        });
+    /**
+     * Runs background work after the response when an execution context is
+     * available, otherwise awaits it inline
+     * @param {Promise<any>} promise - Background work
+     * @returns {Promise<any>|void} The promise when it must be awaited
+     */
+    const waitUntil = (promise) => {
+      const guarded = promise.catch(err => log('error', 'Background task failed', { error: err.message }));
+      return ctx?.waitUntil ? ctx.waitUntil(guarded) : guarded;
+    };
+
+    /**
+     * Records metric samples in the background
+     * @param {...MetricSample} samples - Samples to record
+     * @returns {Promise<any>|void} Pending write when it must be awaited
+     */
+    const recordMetrics = (...samples) => waitUntil(getMetricsStore(env).record(samples));
+
+    let spanName = request.method;
+    /** @type {Object<string, string|number|boolean|undefined>} */
+    const spanAttributes = { 'http.request.method': request.method, 'url.path': url.pathname };
+
+    /**
+     * Exports this request's span in the background when tracing is configured and sampled
+     * @param {number} status - Response status
+     * @param {string} [error] - Error message
+     * @returns {Promise<any>|void} Pending export when it must be awaited
+     */
+    const exportRequestSpan = (status, error) => {
+      if (!trace.sampled || !(env.OTEL_EXPORTER_OTLP_ENDPOINT || env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT)) {
+        return;
       }
+      const span = buildOtlpSpan({
+        trace,
+        name: spanName,
+        startTimeMs: startTime,
+        endTimeMs: Date.now(),
+        attributes: { ...spanAttributes, 'http.response.status_code': status },
+        error,
+      });
+      return waitUntil(exportSpans(env, [span]));
+    };
+
+    // Resolved before anything can fail, so every error response carries the right CORS headers
+    let effectiveOrigin = '';
+
+    /** @type {string|undefined} */
+    let spanError;
+
+    /**
+     * Produces the response. Every path returns through here, so the span
+     * below records the status the client actually receives.
+     * @returns {Promise<Response>} Response to return
+     */
+    const handleRequest = async () => {
+      /**
+       * Audits a request the proxy refuses before it reaches the API server. A
+       * no-op until step 8 knows the audit level, so it can be used from the catch block.
+       * @param {Response} response - Rejection response
+       * @returns {Promise<Response>} The same response
+       */
+      let auditDenial = async (response) => response;
+
+      try {
+        // 1. Configuration Validation
+        const UPSTREAM_URL = env.K8S_API_URL || DEFAULT_UPSTREAM_URL;
+        const ALLOWED_ORIGIN = env.ALLOWED_ORIGIN || '*';
+        const requestOrigin = request.headers.get('Origin');
+        const corsValidation = validateOrigin(requestOrigin, ALLOWED_ORIGIN);
+        effectiveOrigin = corsValidation.matchedOrigin || (ALLOWED_ORIGIN === '*' ? '*' : '');
+
+        // Validate K8S_API_URL format
+        const urlValidation = validateApiUrl(UPSTREAM_URL, env.UPSTREAM_ALLOWED_HOSTS);
+        if (!urlValidation.valid) {
+          log('error', 'Invalid K8S_API_URL configuration', { error: urlValidation.error });
+          await recordMetrics({ name: 'kubernetes_proxy_config_errors_total', labels: { setting: 'K8S_API_URL' } });
+          return createStatusResponse(500, 'InternalError', environment === 'development' ? urlValidation.error : 'Server misconfigured', {
+            requestId,
+            allowedOrigin: effectiveOrigin,
+          });
+        }
+
+        const integerSettings = loadIntegerSettings(env);
+        if (integerSettings.error) {
+          log('error', 'Invalid numeric configuration', { error: integerSettings.error });
+          await recordMetrics({ name: 'kubernetes_proxy_config_errors_total', labels: { setting: integerSettings.setting } });
+          return createStatusResponse(500, 'InternalError', environment === 'development' ? integerSettings.error : 'Server misconfigured', {
+            requestId,
+            allowedOrigin: effectiveOrigin,
+          });
+        }
+
+        // 2. Robots.txt - Prevent indexing
+        if (url.pathname === '/robots.txt') {
+          return new Response('User-agent: *\nDisallow: /', { 
+            status: 200,
+            headers: { 'Content-Type': 'text/plain' }
+          });
+        }
+
+        // 3. CORS Preflight
+        if (request.method === 'OPTIONS') {
+          if (!corsValidation.allowed && ALLOWED_ORIGIN !== '*') {
+            log('warn', 'CORS preflight rejected', { origin: requestOrigin, reason: 'Origin not allowed' });
+            await recordMetrics({ name: 'kubernetes_proxy_cors_rejections_total', labels: { type: 'preflight' } });
+            return createStatusResponse(403, 'Forbidden', 'Origin not allowed', { requestId, allowedOrigin: effectiveOrigin });
+          }
+          return handleCorsPreflight(corsValidation.matchedOrigin || ALLOWED_ORIGIN);
+        }
+
+        // 4. Routing - Proxy Health Check
+        if (url.pathname === '/kubernetes/proxy-health') {
+          return new Response(JSON.stringify({
+            status: 'ok',
+            version: VERSION,
+            env: environment,
+            requestId
+          }), {
+            status: 200,
+            headers: { 'Content-Type': 'application/json' }
+          });
+        }
+
+        // 4a. Routing - Discovery Cache Purge (admin)
+        if (url.pathname === '/kubernetes/proxy-cache/purge') {
+          if (!env.PROXY_ADMIN_TOKEN) {
+            return createStatusResponse(404, 'NotFound', 'the server could not find the requested resource', { requestId, allowedOrigin: effectiveOrigin });
+          }
+          if (!isAdminRequest(request, env)) {
+            log('warn', 'Request rejected - invalid admin token', { path: url.pathname });
+            return createStatusResponse(401, 'Unauthorized', 'Unauthorized', { requestId, allowedOrigin: effectiveOrigin });
+          }
+          if (request.method !== 'POST') {
+            return createStatusResponse(405, 'MethodNotAllowed', `${request.method} is not supported, use POST`, {
+              requestId,
+              allowedOrigin: effectiveOrigin,
+              headers: { Allow: 'POST' },
+            });
+          }
+
+          const requestedCluster = url.searchParams.get('cluster');
+          const clusterNames = requestedCluster ? [requestedCluster] : ['default', ...Object.keys(loadClusterRegistry(env).clusters)];
+          await purgeDiscoveryCache(caches.default, env.CACHE_GENERATION_KV, clusterNames);
+          log('info', 'Discovery cache purged', { cluster: clusterNames.join(',') });
+          return new Response(JSON.stringify({ purged: clusterNames, requestId }), {
+            status: 200,
+            headers: hardenHeaders(new Headers({ 'Content-Type': 'application/json' }), effectiveOrigin, requestId)
+          });
+        }
+
+        // 4b. Routing - Prometheus Metrics (admin)
+        if (url.pathname === '/kubernetes/proxy-metrics') {
+          if (!env.PROXY_ADMIN_TOKEN) {
+            return createStatusResponse(404, 'NotFound', 'the server could not find the requested resource', { requestId, allowedOrigin: effectiveOrigin });
+          }
+          if (!isAdminRequest(request, env)) {
+            log('warn', 'Request rejected - invalid admin token', { path: url.pathname });
+            return createStatusResponse(401, 'Unauthorized', 'Unauthorized', { requestId, allowedOrigin: effectiveOrigin });
+          }
+          const snapshot = await getMetricsStore(env).snapshot();
+          return new Response(renderPrometheusMetrics(snapshot), {
+            status: 200,
+            headers: hardenHeaders(new Headers({ 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' }), effectiveOrigin, requestId)
+          });
+        }
+
+        // 4c. Routing - Deep Readiness Check
+        if (url.pathname === '/kubernetes/proxy-ready') {
+          const registry = loadClusterRegistry(env);
+          if (registry.error) {
+            log('error', 'Invalid CLUSTERS configuration', { error: registry.error });
+            await recordMetrics({ name: 'kubernetes_proxy_config_errors_total', labels: { setting: 'CLUSTERS' } });
+            return createStatusResponse(500, 'InternalError', environment === 'development' ? registry.error : 'Server misconfigured', {
+              requestId,
+              allowedOrigin: effectiveOrigin,
+            });
+          }
+
+          const timeoutMs = Number(env.READINESS_TIMEOUT_MS) || DEFAULT_READINESS_TIMEOUT_MS;
+          const cacheMs = env.READINESS_CACHE_MS !== undefined ? Number(env.READINESS_CACHE_MS) : DEFAULT_READINESS_CACHE_MS;
+          const targets = [{ name: 'default', url: UPSTREAM_URL, token: env.K8S_BEARER_TOKEN }, ...Object.values(registry.clusters)];
+          // Anonymous probes must not turn into a stream of upstream requests, so results are reused briefly
+          const cacheKey = await sha256Hex(JSON.stringify([environment, targets]));
+          const cached = cacheMs > 0 && readinessCache.key === cacheKey && readinessCache.expiresAt > Date.now();
+          const clusters = cached ? readinessCache.clusters : await Promise.all(targets.map(target => probeCluster(target, {
+            timeoutMs,
+            allowedHosts: env.UPSTREAM_ALLOWED_HOSTS,
+            dnsCheck: isFlagEnabled(env.UPSTREAM_DNS_CHECK),
+            verboseErrors: environment === 'development',
+          })));
+          if (!cached && cacheMs > 0) {
+            readinessCache = { key: cacheKey, expiresAt: Date.now() + cacheMs, clusters };
+          }
+          const ready = clusters.every(cluster => cluster.ready);
+          if (!ready && !cached) {
+            const failing = clusters.filter(cluster => !cluster.ready);
+            log('warn', 'Readiness check failed', {
+              cluster: failing.map(cluster => cluster.name).join(','),
+              error: failing.flatMap(cluster => cluster.errors).join('; '),
+            });
+          }
+
+          // Cluster names, versions and errors are only shown to admins; everyone else gets the verdict
+          return new Response(JSON.stringify({
+            status: ready ? 'ok' : 'unavailable',
+            ...(isAdminRequest(request, env) && { version: VERSION, env: environment, clusters }),
+            requestId
+          }), {
+            status: ready ? 200 : 503,
+            headers: hardenHeaders(new Headers({ 'Content-Type': 'application/json' }), effectiveOrigin, requestId)
+          });
+        }
+
+        // 5. Routing - Kubernetes Check
+        if (!url.pathname.startsWith('/kubernetes')) {
+          return createStatusResponse(404, 'NotFound', 'the server could not find the requested resource', { requestId, allowedOrigin: effectiveOrigin });
+        }
+
+        // 6. Pass-through for Dashboard/Static Assets
+        if (isDashboardPath(url.pathname)) {
+          return fetch(request);
+        }
+
+        // 7. CORS validation for non-preflight requests (strict mode)
+        if (ALLOWED_ORIGIN !== '*' && requestOrigin && !corsValidation.allowed) {
+          log('warn', 'Request rejected - invalid origin', { origin: requestOrigin });
+          await recordMetrics({ name: 'kubernetes_proxy_cors_rejections_total', labels: { type: 'request' } });
+          return createStatusResponse(403, 'Forbidden', 'Origin not allowed', { requestId, allowedOrigin: effectiveOrigin });
+        }
+
+        // 7a. Client Authentication (signed URLs carry the signer's identity in place of credentials)
+        const signedUrl = url.searchParams.has(SIGNED_URL_PARAM);
+        const auth = signedUrl
+          ? await verifySignedUrl(env.URL_SIGNING_SECRET, request.method, url)
+          : await authenticateRequest(request, env);
+        if (signedUrl && (!auth.authenticated || request.headers.get('Upgrade'))) {
+          const reason = auth.error || 'Signed URLs do not allow protocol upgrades';
+          log('warn', 'Request rejected - invalid signed URL', { path: url.pathname, reason });
+          return createStatusResponse(403, 'Forbidden', reason, { requestId, allowedOrigin: effectiveOrigin });
+        }
+        if (auth.unavailable) {
+          log('error', 'Request rejected - authentication unavailable', { reason: auth.error });
+          return createStatusResponse(503, 'ServiceUnavailable', 'Authentication is temporarily unavailable', {
+            requestId,
+            allowedOrigin: effectiveOrigin,
+            headers: { 'Retry-After': '5' },
+          });
+        }
+        if (!auth.authenticated) {
+          log('warn', 'Request rejected - authentication failed', { reason: auth.error });
+          return createStatusResponse(401, 'Unauthorized', 'Unauthorized', {
+            requestId,
+            allowedOrigin: effectiveOrigin,
+            headers: { 'WWW-Authenticate': 'Bearer realm="kubernetes-api-proxy"' },
+          });
+        }
+        const identity = auth.identity;
+        if (signedUrl) {
+          // The signature is for the proxy only and never reaches the API server
+          url.searchParams.delete(SIGNED_URL_PARAM);
+        }
+
+        // Signed URL issuance: authenticated clients share GET access to one exact path
+        if (url.pathname === SIGN_ROUTE) {
+          if (!env.URL_SIGNING_SECRET) {
+            return createStatusResponse(404, 'NotFound', 'the server could not find the requested resource', { requestId, allowedOrigin: effectiveOrigin });
+          }
+          if (request.method !== 'POST') {
+            return createStatusResponse(405, 'MethodNotAllowed', `${request.method} is not supported, use POST`, {
+              requestId,
+              allowedOrigin: effectiveOrigin,
+              headers: { Allow: 'POST, OPTIONS' },
+            });
+          }
+          if (!identity) {
+            log('warn', 'Request rejected - signing requires authentication', { path: url.pathname });
+            return createStatusResponse(403, 'Forbidden', 'signing URLs requires an authenticated client (AUTH_METHODS)', { requestId, allowedOrigin: effectiveOrigin });
+          }
+
+          const signRequest = tryParseJson(await request.text());
+          const maxTtl = Number(env.SIGNED_URL_MAX_TTL) || DEFAULT_SIGNED_URL_MAX_TTL;
+          const expiresIn = signRequest?.expiresIn ?? Math.min(DEFAULT_SIGNED_URL_TTL, maxTtl);
+          const target = typeof signRequest?.path === 'string' ? new URL(signRequest.path, url.origin) : null;
+          const targetRoute = target ? parseClusterRoute(target.pathname) : null;
+          const targetPath = targetRoute && ['default', 'cluster', 'aggregate'].includes(targetRoute.type) ? normalizeApiPath(targetRoute.path) : null;
+          const targetInfo = targetPath?.valid ? parseRequestInfo('GET', targetPath.path, target.searchParams) : null;
+          let signError = null;
+          if (!target || target.origin !== url.origin || !target.pathname.startsWith('/kubernetes/') || target.searchParams.has(SIGNED_URL_PARAM)) {
+            signError = 'path must be a /kubernetes/ path on this proxy';
+          } else if (!targetPath?.valid) {
+            signError = targetPath?.error || `${target.pathname} cannot be signed`;
+          } else if (!checkReadOnly('GET', targetInfo, target.searchParams).allowed) {
+            signError = 'exec, attach and portforward cannot be signed';
+          } else if (targetInfo.verb === 'watch' || target.searchParams.get('follow') === 'true') {
+            // A stream opened before the expiry would stay open after it
+            signError = 'watches and followed logs cannot be signed';
+          } else if (!Number.isInteger(expiresIn) || expiresIn <= 0 || expiresIn > maxTtl) {
+            signError = `expiresIn must be a whole number of seconds between 1 and ${maxTtl}`;
+          }
+          if (signError) {
+            return createStatusResponse(400, 'BadRequest', signError, { requestId, allowedOrigin: effectiveOrigin });
+          }
+
+          target.hash = '';
+          const expiresAt = Math.floor(Date.now() / 1000) + expiresIn;
+          // Claims read by IMPERSONATION_MAPPING travel with the link, so its holder is impersonated like the signer
+          const { mapping } = loadImpersonationMapping(env);
+          const signed = await signResourceUrl(env.URL_SIGNING_SECRET, target, identity, expiresAt, mapping ? mappedClaimNames(mapping) : []);
+          const expiresAtIso = new Date(expiresAt * 1000).toISOString();
+          log('info', 'Signed URL issued', { path: target.pathname, subject: identity.subject, expiresAt: expiresAtIso });
+          return new Response(JSON.stringify({ url: signed.toString(), expiresAt: expiresAtIso, requestId }), {
+            status: 200,
+            headers: hardenHeaders(new Headers({ 'Content-Type': 'application/json' }), effectiveOrigin, requestId)
+          });
+        }
+
+        // 7b. Multi-Cluster Routing
+        const registry = loadClusterRegistry(env);
+        if (registry.error) {
+          log('error', 'Invalid CLUSTERS configuration', { error: registry.error });
+          await recordMetrics({ name: 'kubernetes_proxy_config_errors_total', labels: { setting: 'CLUSTERS' } });
+          return createStatusResponse(500, 'InternalError', environment === 'development' ? registry.error : 'Server misconfigured', {
+            requestId,
+            allowedOrigin: effectiveOrigin,
+          });
+        }
+
+        const route = parseClusterRoute(url.pathname);
+        if (route.type === 'list') {
+          return new Response(JSON.stringify({
+            clusters: Object.keys(registry.clusters),
+            requestId
+          }), {
+            status: 200,
+            headers: hardenHeaders(new Headers({ 'Content-Type': 'application/json' }), effectiveOrigin, requestId)
+          });
+        }
+
+        /** @type {ClusterTarget} */
+        let cluster = { name: 'default', url: UPSTREAM_URL, token: env.K8S_BEARER_TOKEN };
+        if (route.clusterName) {
+          if (!Object.hasOwn(registry.clusters, route.clusterName)) {
+            log('warn', 'Request rejected - unknown cluster', { cluster: route.clusterName });
+            return createStatusResponse(404, 'NotFound', `cluster "${route.clusterName}" not found`, {
+              requestId,
+              allowedOrigin: effectiveOrigin,
+              details: { name: route.clusterName, kind: 'clusters' },
+            });
+          }
+          cluster = registry.clusters[route.clusterName];
+
+          const clusterValidation = validateApiUrl(cluster.url, env.UPSTREAM_ALLOWED_HOSTS);
+          if (!clusterValidation.valid) {
+            log('error', 'Invalid cluster URL configuration', { cluster: cluster.name, error: clusterValidation.error });
+            await recordMetrics({ name: 'kubernetes_proxy_config_errors_total', labels: { setting: 'CLUSTERS' } });
+            return createStatusResponse(500, 'InternalError', environment === 'development' ? clusterValidation.error : 'Server misconfigured', {
+              requestId,
+              allowedOrigin: effectiveOrigin,
+            });
+          }
+        }
 
-      // 2. Robots.txt - Prevent indexing
-      if (url.pathname === '/robots.txt') {
-        return new Response('User-agent: *\nDisallow: /', { 
-          status: 200,
-          headers: { 'Content-Type': 'text/plain' }
+        // Guard against upstream hostnames that resolve to internal addresses
+        if (isFlagEnabled(env.UPSTREAM_DNS_CHECK)) {
+          const dnsValidation = await validateResolvedHost(new URL(cluster.url).hostname);
+          if (!dnsValidation.valid) {
+            log('error', 'Upstream host failed DNS validation', { cluster: cluster.name, error: dnsValidation.error });
+            await recordMetrics({ name: 'kubernetes_proxy_config_errors_total', labels: { setting: 'UPSTREAM_DNS_CHECK' } });
+            return createStatusResponse(500, 'InternalError', environment === 'development' ? dnsValidation.error : 'Server misconfigured', {
+              requestId,
+              allowedOrigin: effectiveOrigin,
+            });
+          }
+        }
+
+        // 8. Proxy Logic with path normalization (previews take their path from the manifest in step 11b)
+        const normalizedPath = route.type === 'preview' ? { valid: true, path: PREVIEW_ROUTE } : normalizeApiPath(route.path);
+        if (!normalizedPath.valid) {
+          log('warn', 'Request rejected - invalid path', { path: url.pathname, reason: normalizedPath.error });
+          return createStatusResponse(normalizedPath.status, normalizedPath.status === 400 ? 'BadRequest' : 'NotFound', normalizedPath.error, {
+            requestId,
+            allowedOrigin: effectiveOrigin,
+          });
+        }
+        const strippedPath = normalizedPath.path;
+        let requestInfo = parseRequestInfo(request.method, strippedPath, url.searchParams);
+
+        // Browsers asking for text/event-stream get the collection's (or object's) watch as SSE.
+        // Subresources such as log, exec or status cannot be watched, so they are refused.
+        const eventStream = request.method === 'GET'
+          && /\btext\/event-stream\b/i.test(request.headers.get('Accept') || '')
+          && requestInfo.isResourceRequest
+          && route.type !== 'aggregate';
+        if (eventStream && requestInfo.subresource) {
+          return createStatusResponse(406, 'NotAcceptable', `text/event-stream is only served for collections and objects, not the ${requestInfo.subresource} subresource`, {
+            requestId,
+            allowedOrigin: effectiveOrigin,
+          });
+        }
+        if (eventStream) {
+          url.searchParams.set('watch', 'true');
+          url.searchParams.set('allowWatchBookmarks', 'true');
+          const lastEventId = request.headers.get('Last-Event-ID');
+          if (lastEventId) {
+            // Resume where the previous connection stopped
+            url.searchParams.set('resourceVersion', lastEventId);
+          }
+          requestInfo = parseRequestInfo(request.method, strippedPath, url.searchParams);
+        }
+
+        // Streams would outlive a signed URL's expiry, and the Accept header is not signed
+        if (signedUrl && (requestInfo.verb === 'watch' || url.searchParams.get('follow') === 'true')) {
+          log('warn', 'Request rejected - invalid signed URL', { path: url.pathname, reason: 'streaming' });
+          return createStatusResponse(403, 'Forbidden', 'Signed URLs do not allow watches or streaming', { requestId, allowedOrigin: effectiveOrigin });
+        }
+
+        // Mutations under DRY_RUN_PATHS, or sent with X-Dry-Run, are admitted but never persisted
+        const isPreview = route.type === 'preview';
+        const dryRun = MUTATING_METHODS.includes(request.method) && (isPreview || isDryRunForced(env, strippedPath, request.headers));
+        if (dryRun) {
+          url.searchParams.set('dryRun', 'All');
+        }
+        if (isPreview && request.method !== 'POST') {
+          return createStatusResponse(405, 'MethodNotAllowed', `${request.method} is not supported: POST the manifest to preview`, {
+            requestId,
+            allowedOrigin: effectiveOrigin,
+            headers: { Allow: 'POST, OPTIONS' },
+          });
+        }
+
+        // Mutating requests are audited whether they are proxied (step 12a) or denied by the proxy
+        const auditResourceLevels = loadAuditResourceLevels(env);
+        if (auditResourceLevels.error) {
+          log('error', 'Invalid audit configuration', { error: auditResourceLevels.error });
+          await recordMetrics({ name: 'kubernetes_proxy_config_errors_total', labels: { setting: 'AUDIT_RESOURCE_LEVELS' } });
+          return createStatusResponse(500, 'InternalError', environment === 'development' ? auditResourceLevels.error : 'Server misconfigured', {
+            requestId,
+            allowedOrigin: effectiveOrigin,
+          });
+        }
+        const auditLevel = MUTATING_METHODS.includes(request.method) ? getAuditLevel(env, requestInfo) : 'None';
+
+        /**
+         * Emits this request's audit event through the request's waitUntil
+         * @param {number} status - Response status
+         * @param {Object} [bodies] - Bodies kept at the Request and RequestResponse levels
+         * @param {any} [bodies.requestObject] - Parsed request body
+         * @param {Response|null} [bodies.responseClone] - Copy of a JSON response
+         * @returns {Promise<any>|void} Pending delivery when it must be awaited
+         */
+        const emitAuditEvent = (status, { requestObject, responseClone } = {}) => {
+          if (auditLevel === 'None') {
+            return;
+          }
+          return waitUntil((async () => {
+            const sink = createAuditSink(env);
+            await sink.emit(buildAuditEvent({
+              requestId,
+              level: auditLevel,
+              method: request.method,
+              requestURI: strippedPath + url.search,
+              info: requestInfo,
+              identity,
+              clientIp: request.headers.get('CF-Connecting-IP'),
+              userAgent: request.headers.get('User-Agent'),
+              cluster: cluster.name,
+              status,
+              receivedAt: startTime,
+              requestObject,
+              responseObject: responseClone ? tryParseJson(await responseClone.text()) : undefined,
+            }));
+            await sink.flush();
+          })());
+        };
+
+        auditDenial = async (response) => {
+          await emitAuditEvent(response.status);
+          return response;
+        };
+
+        // 8a. Authorization Policy
+        const policy = await loadPolicyRules(env);
+        if (policy.error) {
+          log('error', 'Invalid policy configuration', { error: policy.error });
+          await recordMetrics({ name: 'kubernetes_proxy_config_errors_total', labels: { setting: 'POLICY_RULES' } });
+          return createStatusResponse(500, 'InternalError', environment === 'development' ? policy.error : 'Server misconfigured', {
+            requestId,
+            allowedOrigin: effectiveOrigin,
+          });
+        }
+        // Aggregated lists are authorized per target in step 8e, previews once the manifest is resolved in step 11b
+        const isAggregate = route.type === 'aggregate';
+        const policyDefault = env.POLICY_DEFAULT === 'allow' ? 'allow' : 'deny';
+        if (policy.rules && !isAggregate && !isPreview) {
+          const decision = evaluatePolicy(policy.rules, request.method, requestInfo, policyDefault);
+          if (!decision.allowed) {
+            log('warn', 'Request rejected - denied by policy', { method: request.method, path: strippedPath, rule: decision.rule ?? undefined });
+            const message = decision.rule
+              ? `${request.method} ${strippedPath} is forbidden by proxy policy rule "${decision.rule}"`
+              : `${request.method} ${strippedPath} is forbidden: no proxy policy rule allows it`;
+            return auditDenial(createStatusResponse(403, 'Forbidden', message, {
+              requestId,
+              allowedOrigin: effectiveOrigin,
+              details: {
+                name: requestInfo.name || undefined,
+                group: requestInfo.group || undefined,
+                kind: requestInfo.resource || undefined,
+                rule: decision.rule,
+              },
+            }));
+          }
+        }
+
+        // Namespace scoping narrows the policy decision to the client's namespaces
+        const namespaceScope = loadNamespaceScope(env);
+        if (namespaceScope.error) {
+          log('error', 'Invalid NAMESPACE_SCOPE configuration', { error: namespaceScope.error });
+          await recordMetrics({ name: 'kubernetes_proxy_config_errors_total', labels: { setting: 'NAMESPACE_SCOPE' } });
+          return createStatusResponse(500, 'InternalError', environment === 'development' ? namespaceScope.error : 'Server misconfigured', {
+            requestId,
+            allowedOrigin: effectiveOrigin,
+          });
+        }
+        let upstreamPath = strippedPath;
+        let upstreamSearch = url.search;
+        /** @type {string[]|null} */
+        let fanOutNamespaces = null;
+        if (namespaceScope.scope && !isAggregate && !isPreview) {
+          const decision = checkNamespaceScope(namespaceScope.scope, identity, requestInfo);
+          if (!decision.allowed) {
+            log('warn', 'Request rejected - outside namespace scope', { method: request.method, path: strippedPath, subject: identity?.subject });
+            return auditDenial(createStatusResponse(403, 'Forbidden', decision.message, {
+              requestId,
+              allowedOrigin: effectiveOrigin,
+              details: { name: requestInfo.name || undefined, group: requestInfo.group || undefined, kind: requestInfo.resource || undefined },
+            }));
+          }
+          let namespaces = decision.namespaces;
+          if (namespaces && policy.rules) {
+            // The policy only saw the cluster-wide request, so each namespace it is narrowed to is checked again
+            let denial = null;
+            namespaces = namespaces.filter(namespace => {
+              const namespacedInfo = { ...requestInfo, namespace, path: buildNamespacedPath(requestInfo, namespace) };
+              const namespaceDecision = evaluatePolicy(policy.rules, request.method, namespacedInfo, policyDefault);
+              denial = denial || (namespaceDecision.allowed ? null : namespaceDecision);
+              return namespaceDecision.allowed;
+            });
+            if (namespaces.length === 0) {
+              log('warn', 'Request rejected - denied by policy', { method: request.method, path: strippedPath, rule: denial.rule ?? undefined });
+              const message = denial.rule
+                ? `${request.method} ${strippedPath} is forbidden by proxy policy rule "${denial.rule}" in every namespace the client may use`
+                : `${request.method} ${strippedPath} is forbidden: no proxy policy rule allows it in the namespaces the client may use`;
+              return auditDenial(createStatusResponse(403, 'Forbidden', message, {
+                requestId,
+                allowedOrigin: effectiveOrigin,
+                details: { group: requestInfo.group || undefined, kind: requestInfo.resource || undefined, rule: denial.rule },
+              }));
+            }
+          }
+          if (namespaces?.length === 1) {
+            upstreamPath = buildNamespacedPath(requestInfo, namespaces[0]);
+            upstreamSearch = buildNamespacedSearch(requestInfo, url.searchParams, false);
+          } else if (namespaces) {
+            if (request.headers.get('Upgrade')?.toLowerCase() === 'websocket') {
+              return createStatusResponse(400, 'BadRequest', 'WebSocket watches must specify a namespace when the client is limited to several namespaces', {
+                requestId,
+                allowedOrigin: effectiveOrigin,
+              });
+            }
+            fanOutNamespaces = namespaces;
+          }
+        }
+        const targetUrl = new URL(upstreamPath, cluster.url).toString() + upstreamSearch;
+
+        const resourcePath = [requestInfo.resource, requestInfo.subresource].filter(Boolean).join('/');
+        spanName = requestInfo.isResourceRequest ? `${requestInfo.verb} ${resourcePath}` : `${request.method} ${strippedPath}`;
+        Object.assign(spanAttributes, {
+          'k8s.cluster.name': cluster.name,
+          'k8s.namespace.name': requestInfo.namespace,
+          'k8s.verb': requestInfo.isResourceRequest ? requestInfo.verb : undefined,
+          'k8s.api_group': requestInfo.group,
+          'k8s.api_version': requestInfo.version,
+          'k8s.resource': requestInfo.resource,
+          'k8s.resource.name': requestInfo.name,
+          'k8s.subresource': requestInfo.subresource,
+          'enduser.id': identity?.subject,
         });
-      }
 
-      // 3. CORS Origin Validation & Preflight
-      const requestOrigin = request.headers.get('Origin');
-      const corsValidation = validateOrigin(requestOrigin, ALLOWED_ORIGIN);
-      
-      if (request.method === 'OPTIONS') {
-        if (!corsValidation.allowed && ALLOWED_ORIGIN !== '*') {
-          log('warn', 'CORS preflight rejected', { origin: requestOrigin, reason: 'Origin not allowed' });
-          return new Response(null, { status: 403 });
-        }
-        return handleCorsPreflight(corsValidation.matchedOrigin || ALLOWED_ORIGIN);
-      }
-
-      // 4. Routing - Proxy Health Check
-      if (url.pathname === '/kubernetes/proxy-health') {
-        return new Response(JSON.stringify({
-          status: 'ok',
-          version: VERSION,
-          env: environment,
-          requestId
-        }), {
-          status: 200,
-          headers: { 'Content-Type': 'application/json' }
+        log('info', 'Proxying request', {
+          method: request.method,
+          path: url.pathname,
+          target: targetUrl,
+          clientIp: request.headers.get('CF-Connecting-IP'),
+          subject: identity?.subject,
+          cluster: cluster.name,
+          dryRun: dryRun || undefined
         });
-      }
 
-      // 5. Routing - Kubernetes Check
-      if (!url.pathname.startsWith('/kubernetes')) {
-        return new Response('Not Found', { status: 404 });
-      }
+        // 8b. Read-Only Mode
+        if (isFlagEnabled(env.READ_ONLY)) {
+          const readOnly = checkReadOnly(request.method, requestInfo, url.searchParams, isFlagEnabled(env.READ_ONLY_ALLOW_DRY_RUN));
+          if (!readOnly.allowed) {
+            log('warn', 'Request rejected - read-only mode', { method: request.method, path: strippedPath });
+            return auditDenial(createStatusResponse(readOnly.code, readOnly.reason, readOnly.message, {
+              requestId,
+              allowedOrigin: effectiveOrigin,
+              details: { name: requestInfo.name || undefined, kind: requestInfo.resource || undefined },
+              headers: readOnly.code === 405 ? { Allow: 'GET, HEAD, OPTIONS' } : {},
+            }));
+          }
+        }
 
-      // 6. Pass-through for Dashboard/Static Assets
-      if (isDashboardPath(url.pathname)) {
-        return fetch(request);
-      }
+        // 8c. Rate Limiting
+        const isWebSocketUpgrade = request.headers.get('Upgrade')?.toLowerCase() === 'websocket';
+        const bucketName = classifyRateLimitBucket(request.method, requestInfo, url.searchParams, isWebSocketUpgrade);
+        const rateLimit = parseRateLimit(env[`RATE_LIMIT_${bucketName.toUpperCase()}`]);
+        if (rateLimit) {
+          const clientKey = identity ? `sub:${identity.subject}` : `ip:${request.headers.get('CF-Connecting-IP') || 'unknown'}`;
+          try {
+            const decision = await getRateLimitStore(env).consume(clientKey, bucketName, rateLimit);
+            if (!decision.allowed) {
+              log('warn', 'Request rejected - rate limited', { bucket: bucketName, subject: identity?.subject });
+              return auditDenial(createStatusResponse(429, 'TooManyRequests', `Too many ${bucketName} requests, please try again later`, {
+                requestId,
+                allowedOrigin: effectiveOrigin,
+                details: { retryAfterSeconds: decision.retryAfterSeconds },
+                headers: {
+                  'Retry-After': String(decision.retryAfterSeconds),
+                  'Access-Control-Expose-Headers': 'X-Request-ID, Retry-After',
+                },
+              }));
+            }
+          } catch (err) {
+            // Fail open: an unavailable limiter must not take the proxy down with it
+            log('error', 'Rate limiter unavailable', { error: err.message });
+          }
+        }
+
+        // 8d. Impersonation
+        const impersonation = loadImpersonationMapping(env);
+        const impersonationConfigError = impersonation.error || (impersonation.mapping && !identity ? 'IMPERSONATION_MAPPING requires AUTH_METHODS' : null);
+        if (impersonationConfigError) {
+          log('error', 'Invalid IMPERSONATION_MAPPING configuration', { error: impersonationConfigError });
+          await recordMetrics({ name: 'kubernetes_proxy_config_errors_total', labels: { setting: 'IMPERSONATION_MAPPING' } });
+          return createStatusResponse(500, 'InternalError', environment === 'development' ? impersonationConfigError : 'Server misconfigured', {
+            requestId,
+            allowedOrigin: effectiveOrigin,
+          });
+        }
+
+        /** @type {[string, string][]} */
+        let impersonationHeaders = [];
+        if (impersonation.mapping) {
+          if ([...request.headers.keys()].some(name => name.startsWith('impersonate-'))) {
+            log('warn', 'Request rejected - client impersonation headers', { subject: identity.subject });
+            return auditDenial(createStatusResponse(403, 'Forbidden', 'Impersonate-* headers are set by the proxy and must not be sent by clients', {
+              requestId,
+              allowedOrigin: effectiveOrigin,
+            }));
+          }
+          const mapped = buildImpersonationHeaders(identity, impersonation.mapping);
+          if (mapped.error) {
+            log('warn', 'Request rejected - identity cannot be impersonated', { subject: identity.subject, reason: mapped.error });
+            return auditDenial(createStatusResponse(403, 'Forbidden', mapped.error, { requestId, allowedOrigin: effectiveOrigin }));
+          }
+          impersonationHeaders = mapped.headers;
+        }
+
+        // 8e. Aggregation Targets
+        /** @type {AggregateTarget[]|null} */
+        let aggregateTargets = null;
+        if (isAggregate) {
+          if (request.method !== 'GET' || requestInfo.verb !== 'list' || requestInfo.namespace || isWebSocketUpgrade) {
+            return createStatusResponse(400, 'BadRequest', `aggregation supports GET list requests of collection paths, e.g. ${AGGREGATE_ROUTE_PREFIX}/api/v1/pods`, {
+              requestId,
+              allowedOrigin: effectiveOrigin,
+            });
+          }
+          const splitParam = (name) => (url.searchParams.get(name) || '').split(',').map(value => value.trim()).filter(Boolean);
+          const clusterNames = splitParam('clusters');
+          const unknownCluster = clusterNames.find(name => name !== 'default' && !Object.hasOwn(registry.clusters, name));
+          if (unknownCluster) {
+            return createStatusResponse(404, 'NotFound', `cluster "${unknownCluster}" not found`, {
+              requestId,
+              allowedOrigin: effectiveOrigin,
+              details: { name: unknownCluster, kind: 'clusters' },
+            });
+          }
+          const requestedNamespaces = splitParam('namespaces');
+
+          aggregateTargets = [];
+          for (const clusterName of clusterNames.length > 0 ? [...new Set(clusterNames)] : [cluster.name]) {
+            /** @type {string[]} */
+            let namespaces = [...new Set(requestedNamespaces)];
+            if (namespaces.length === 0) {
+              namespaces = [''];
+              if (namespaceScope.scope) {
+                const decision = checkNamespaceScope({ ...namespaceScope.scope, clusterWide: 'rewrite' }, identity, requestInfo);
+                if (!decision.allowed) {
+                  aggregateTargets.push({ cluster: clusterName, namespace: '', error: { code: 403, reason: 'Forbidden', message: decision.message } });
+                  continue;
+                }
+                namespaces = decision.namespaces || [''];
+              }
+            }
+
+            for (const namespace of namespaces) {
+              // Path globs must see the namespaced path this target is actually sent to
+              const targetInfo = namespace ? { ...requestInfo, namespace, path: buildNamespacedPath(requestInfo, namespace) } : requestInfo;
+              const scopeDecision = namespaceScope.scope ? checkNamespaceScope(namespaceScope.scope, identity, targetInfo) : { allowed: true };
+              const policyDecision = policy.rules ? evaluatePolicy(policy.rules, request.method, targetInfo, policyDefault) : { allowed: true };
+              let error;
+              if (!scopeDecision.allowed) {
+                error = { code: 403, reason: 'Forbidden', message: scopeDecision.message };
+              } else if (!policyDecision.allowed) {
+                error = { code: 403, reason: 'Forbidden', message: `list is forbidden by proxy policy${policyDecision.rule ? ` rule "${policyDecision.rule}"` : ''}` };
+              }
+              aggregateTargets.push({ cluster: clusterName, namespace, error });
+            }
+          }
+          log('info', 'Aggregating list', { resource: requestInfo.resource, targets: aggregateTargets.length });
+        }
+
+        // 8f. Request Body Checks
+        const maxBodyBytes = integerSettings.values.MAX_REQUEST_BODY_BYTES;
+        if (request.body && !isWebSocketUpgrade) {
+          const bodyCheck = checkRequestBody(request.method, request.headers, maxBodyBytes);
+          if (!bodyCheck.allowed) {
+            log('warn', 'Request rejected - invalid body', { method: request.method, contentType: request.headers.get('Content-Type') || undefined, reason: bodyCheck.reason });
+            return auditDenial(createStatusResponse(bodyCheck.code, bodyCheck.reason, bodyCheck.message, {
+              requestId,
+              allowedOrigin: effectiveOrigin,
+            }));
+          }
+        }
+
+        // Exec/attach recording is decided before the session reaches the API server
+        /** @type {RecordingLevel} */
+        let recordingLevel = 'None';
+        if (RECORDED_SUBRESOURCES.includes(requestInfo.subresource)) {
+          const recording = resolveRecordingLevel(env, request.method, requestInfo, identity);
+          const recordingError = recording.error ||
+            (recording.level !== 'None' && !env.SESSION_RECORDINGS ? 'SESSION_RECORDINGS binding is required when session recording is enabled' : null);
+          if (recordingError) {
+            log('error', 'Invalid SESSION_RECORDING configuration', { error: recordingError });
+            await recordMetrics({ name: 'kubernetes_proxy_config_errors_total', labels: { setting: 'SESSION_RECORDING' } });
+            return createStatusResponse(500, 'InternalError', environment === 'development' ? recordingError : 'Server misconfigured', {
+              requestId,
+              allowedOrigin: effectiveOrigin,
+            });
+          }
+          recordingLevel = recording.level;
+          if (recordingLevel !== 'None' && !isWebSocketUpgrade) {
+            log('warn', 'Request rejected - recorded session without WebSocket', { rule: recording.rule });
+            return createStatusResponse(400, 'BadRequest', `Recorded ${requestInfo.subresource} sessions must use the WebSocket protocol`, {
+              requestId,
+              allowedOrigin: effectiveOrigin,
+            });
+          }
+        }
+
+        // Redaction rules are validated before anything reaches the upstream
+        const redactionRules = loadRedactionRules(env);
+        if (redactionRules.error) {
+          log('error', 'Invalid REDACTION_RULES configuration', { error: redactionRules.error });
+          await recordMetrics({ name: 'kubernetes_proxy_config_errors_total', labels: { setting: 'REDACTION_RULES' } });
+          return createStatusResponse(500, 'InternalError', environment === 'development' ? redactionRules.error : 'Server misconfigured', {
+            requestId,
+            allowedOrigin: effectiveOrigin,
+          });
+        }
+        const redactSecrets = isFlagEnabled(env.REDACT_SECRETS);
+        const redactObjects = (redactSecrets || redactionRules.rules.length > 0) && requestInfo.isResourceRequest &&
+          (!requestInfo.subresource || JSON_SUBRESOURCES.includes(requestInfo.subresource));
+
+        // 9. WebSocket Support
+        if (isWebSocketUpgrade) {
+          // Relayed frames are never redacted, so only sessions that need a socket may upgrade
+          const redacting = redactSecrets || redactionRules.rules.length > 0;
+          if (!WEBSOCKET_SUBRESOURCES.includes(requestInfo.subresource) && (requestInfo.verb !== 'watch' || redacting)) {
+            const message = redacting
+              ? `WebSocket upgrades are only supported for ${WEBSOCKET_SUBRESOURCES.join(', ')} while responses are redacted`
+              : `WebSocket upgrades are only supported for ${WEBSOCKET_SUBRESOURCES.join(', ')} and watches`;
+            log('warn', 'Request rejected - unsupported WebSocket upgrade', { path: strippedPath, redacting });
+            return createStatusResponse(400, 'BadRequest', message, { requestId, allowedOrigin: effectiveOrigin });
+          }
+          if (!validateWebSocketOrigin(requestOrigin, ALLOWED_ORIGIN, url.origin)) {
+            log('warn', 'Request rejected - invalid WebSocket origin', { origin: requestOrigin });
+            await recordMetrics({ name: 'kubernetes_proxy_cors_rejections_total', labels: { type: 'websocket' } });
+            return createStatusResponse(403, 'Forbidden', 'Origin not allowed', { requestId, allowedOrigin: effectiveOrigin });
+          }
+          const subprotocols = parseWebSocketProtocols(request.headers.get('Sec-WebSocket-Protocol'));
+          if (subprotocols.error) {
+            log('warn', 'Request rejected - unsupported WebSocket subprotocol', { reason: subprotocols.error });
+            return createStatusResponse(400, 'BadRequest', subprotocols.error, { requestId, allowedOrigin: effectiveOrigin });
+          }
+
+          log('info', 'WebSocket upgrade detected');
+          const upgradeHeaders = filterRequestHeaders(request.headers, env);
+          upgradeHeaders.set('Host', new URL(cluster.url).host);
+          upgradeHeaders.set('User-Agent', `Kubernetes-API-Proxy/${VERSION}`);
+          upgradeHeaders.set('X-Request-ID', requestId);
+          upgradeHeaders.delete('Sec-WebSocket-Protocol');
+          if (subprotocols.protocols.length > 0) {
+            upgradeHeaders.set('Sec-WebSocket-Protocol', subprotocols.protocols.join(', '));
+          }
+          if (cluster.token) {
+            upgradeHeaders.set('Authorization', `Bearer ${cluster.token}`);
+          }
+          for (const [name, value] of impersonationHeaders) {
+            upgradeHeaders.set(name, value);
+          }
+          setTraceHeaders(upgradeHeaders, trace);
+
+          const upstream = await fetch(targetUrl, { method: request.method, headers: upgradeHeaders });
+          await recordMetrics({
+            name: 'kubernetes_proxy_websocket_upgrades_total',
+            labels: {
+              cluster: cluster.name,
+              resource: metricLabels(request.method, requestInfo.resource, upstream.status).resource,
+              subresource: metricLabels(request.method, requestInfo.subresource, upstream.status).resource,
+            },
+          });
+          const upstreamSocket = upstream.webSocket;
+          if (!upstreamSocket) {
+            // The API server refused the upgrade (e.g. 403 from RBAC); return its answer as a normal response
+            return new Response(upstream.body, {
+              status: upstream.status,
+              statusText: upstream.statusText,
+              headers: hardenHeaders(filterResponseHeaders(upstream.headers, env), effectiveOrigin, requestId),
+            });
+          }
+
+          // Relay through a WebSocketPair so the session can be limited and accounted for
+          upstreamSocket.accept();
+          const [clientSocket, serverSocket] = Object.values(new WebSocketPair());
+          serverSocket.accept();
+          const subprotocol = upstream.headers.get('Sec-WebSocket-Protocol') || undefined;
+          const sessionLog = {
+            path: strippedPath,
+            cluster: cluster.name,
+            subject: identity?.subject,
+            subprotocol,
+            command: url.searchParams.getAll('command').join(' ') || undefined,
+          };
+          const recorder = recordingLevel === 'None' ? null : new SessionRecorder({
+            cluster: cluster.name,
+            namespace: requestInfo.namespace,
+            pod: requestInfo.name,
+            container: url.searchParams.get('container') || undefined,
+            command: sessionLog.command,
+            subresource: requestInfo.subresource,
+            subprotocol,
+            subject: identity?.subject,
+            groups: identity?.groups,
+            requestId,
+          }, {
+            captureInput: recordingLevel === 'InputOutput',
+            maxBytes: integerSettings.values.SESSION_RECORDING_MAX_BYTES,
+          });
+          const recordingKey = recorder ? `${new Date(recorder.startedAt).toISOString().slice(0, 10)}/${requestId}.cast` : undefined;
+          log('info', 'WebSocket session started', { ...sessionLog, recording: recordingKey });
+          relayWebSockets(serverSocket, upstreamSocket, {
+            idleTimeoutMs: integerSettings.values.WEBSOCKET_IDLE_TIMEOUT_MS,
+            maxDurationMs: integerSettings.values.WEBSOCKET_MAX_DURATION_MS,
+            onMessage: (side, data) => recorder?.record(side, data),
+            onClose: (session) => {
+              log('info', 'WebSocket session ended', {
+                ...sessionLog,
+                durationMs: session.durationMs,
+                bytesFromClient: session.bytesFromClient,
+                bytesFromUpstream: session.bytesFromUpstream,
+                closeCode: session.code,
+                closeReason: session.reason || undefined,
+                closedBy: session.closedBy,
+                recording: recordingKey,
+              });
+              if (recorder) {
+                waitUntil(env.SESSION_RECORDINGS.put(recordingKey, recorder.toAsciicast(), {
+                  httpMetadata: { contentType: 'application/x-asciicast' },
+                  customMetadata: {
+                    requestId,
+                    cluster: cluster.name,
+                    namespace: requestInfo.namespace,
+                    pod: requestInfo.name,
+                    subject: identity?.subject || '',
+                    level: recordingLevel,
+                  },
+                }));
+              }
+            },
+          });
+
+          return new Response(null, {
+            status: 101,
+            // @ts-ignore - webSocket is a Workers extension of ResponseInit
+            webSocket: clientSocket,
+            headers: subprotocol ? { 'Sec-WebSocket-Protocol': subprotocol } : {},
+          });
+        }
+
+        // 10. Headers & Auth Injection
+        const newHeaders = filterRequestHeaders(request.headers, env);
+        const upstreamHost = new URL(cluster.url).host;
+        newHeaders.set('Host', upstreamHost);
+        newHeaders.set('User-Agent', `Kubernetes-API-Proxy/${VERSION}`);
+        newHeaders.set('X-Request-ID', requestId);
+        setTraceHeaders(newHeaders, trace);
+        if (eventStream) {
+          newHeaders.set('Accept', 'application/json');
+        }
+
+        if (cluster.token) {
+          newHeaders.set('Authorization', `Bearer ${cluster.token}`);
+        }
+        for (const [name, value] of impersonationHeaders) {
+          newHeaders.set(name, value);
+        }
+
+        // Redaction only understands JSON, so objects are never requested as protobuf or YAML
+        if (redactObjects) {
+          newHeaders.set('Accept', jsonOnlyAccept(newHeaders.get('Accept')));
+        }
 
-      // 7. CORS validation for non-preflight requests (strict mode)
-      if (ALLOWED_ORIGIN !== '*' && requestOrigin && !corsValidation.allowed) {
-        log('warn', 'Request rejected - invalid origin', { origin: requestOrigin });
-        return new Response(JSON.stringify({
-          error: 'Forbidden',
-          message: 'Origin not allowed',
-          requestId
-        }), {
-          status: 403,
-          headers: { 'Content-Type': 'application/json' }
+        // 11. Forward Request
+        /** @type {RequestInit} */
+        const requestInit = {
+          method: request.method,
+          headers: newHeaders,
+          redirect: 'follow',
+        };
+
+        const captureRequest = AUDIT_LEVELS.indexOf(auditLevel) >= AUDIT_LEVELS.indexOf('Request');
+        const validateSchema = isFlagEnabled(env.SCHEMA_VALIDATION)
+          && ['POST', 'PUT'].includes(request.method)
+          && requestInfo.isResourceRequest
+          && !requestInfo.subresource;
+        let bodyText;
+
+        /** @type {RequestBodyTooLargeError|null} */
+        let bodyLimitError = null;
+
+        // Add body for non-GET/HEAD methods
+        if (!['GET', 'HEAD'].includes(request.method)) {
+          const body = limitRequestBody(request.body, maxBodyBytes, (err) => {
+            bodyLimitError = err;
+          });
+          if (captureRequest || validateSchema || isPreview) {
+            // Buffer the body so the audit event, schema validation and previews can read it
+            bodyText = await new Response(body).text();
+            requestInit.body = bodyText;
+          } else {
+            requestInit.body = body;
+            // @ts-ignore - duplex is needed for Node.js fetch with streaming body
+            requestInit.duplex = 'half';
+          }
+        }
+        const requestBodyText = captureRequest ? bodyText : undefined;
+
+        const apiRequest = new Request(targetUrl, requestInit);
+
+        // 11a. Timeouts, Retries & Circuit Breaker
+        const sendUpstream = (upstreamRequest) => fetchUpstream(upstreamRequest, {
+          timeoutMs: integerSettings.values.UPSTREAM_TIMEOUT_MS,
+          retries: Number(env.UPSTREAM_RETRIES) || 0,
+          retryBaseMs: Number(env.UPSTREAM_RETRY_BASE_MS) || DEFAULT_RETRY_BASE_MS,
+          breaker: getCircuitBreaker(env, cluster),
+          bodyLimitError: () => bodyLimitError,
         });
-      }
 
-      // 8. Proxy Logic with path sanitization
-      const rawPath = url.pathname.slice(11); // Remove '/kubernetes'
-      const strippedPath = sanitizePath(rawPath);
-      const targetUrl = new URL(strippedPath, UPSTREAM_URL).toString() + url.search;
+        // Discovery and OpenAPI documents share the discovery edge cache when it is enabled
+        const documentCacheTtl = Number(env.DISCOVERY_CACHE_TTL) || 0;
+        const fetchDocument = async (path) => {
+          const documentUrl = new URL(path, cluster.url);
+          const documentHeaders = new Headers(newHeaders);
+          documentHeaders.set('Accept', 'application/json');
+          documentHeaders.delete('Content-Type');
+          documentHeaders.delete('Content-Encoding');
+          const documentRequest = new Request(documentUrl, { headers: documentHeaders });
+          if (documentCacheTtl > 0) {
+            const cacheKey = await buildDiscoveryCacheKey(caches.default, env.CACHE_GENERATION_KV, cluster, impersonationHeaders, documentUrl.pathname, documentUrl.search, 'application/json');
+            return (await fetchWithDiscoveryCache(documentRequest, caches.default, cacheKey, documentCacheTtl, waitUntil, sendUpstream)).response;
+          }
+          return sendUpstream(documentRequest);
+        };
 
-      log('info', 'Proxying request', {
-        method: request.method,
-        path: url.pathname,
-        target: targetUrl,
-        clientIp: request.headers.get('CF-Connecting-IP')
-      });
+        // Schema validation rejects malformed objects before they reach the API server
+        const requestObject = validateSchema ? tryParseJson(bodyText) : undefined;
+        if (typeof requestObject?.kind === 'string' && typeof requestObject.apiVersion === 'string') {
+          let kindSchema = null;
+          try {
+            kindSchema = await loadKindSchema(cluster, requestObject.apiVersion, requestObject.kind, fetchDocument, (documentCacheTtl || DEFAULT_SCHEMA_CACHE_SECONDS) * 1000);
+          } catch (err) {
+            // The API server validates the object anyway; an unavailable schema is not fatal
+            log('warn', 'OpenAPI schema unavailable, skipping validation', { cluster: cluster.name, error: err.message });
+          }
+          const causes = kindSchema
+            ? validateOpenApiObject(requestObject, kindSchema.schema, kindSchema.schemas, { strict: url.searchParams.get('fieldValidation') === 'Strict' })
+            : [];
+          if (causes.length > 0) {
+            const group = requestObject.apiVersion.includes('/') ? requestObject.apiVersion.split('/')[0] : '';
+            const name = requestObject.metadata?.name || requestObject.metadata?.generateName || '';
+            const summary = causes.map(cause => `${cause.field}: ${cause.message}`);
+            log('warn', 'Request rejected - schema validation failed', { method: request.method, path: strippedPath, reason: summary.join('; ') });
+            return auditDenial(createStatusResponse(422, 'Invalid', `${requestObject.kind}${group ? `.${group}` : ''} "${name}" is invalid: ${summary.length === 1 ? summary[0] : `[${summary.join(', ')}]`}`, {
+              requestId,
+              allowedOrigin: effectiveOrigin,
+              details: { name: name || undefined, group: group || undefined, kind: requestObject.kind, causes },
+            }));
+          }
+        }
 
-      // 9. WebSocket Support
-      if (request.headers.get('Upgrade')?.toLowerCase() === 'websocket') {
-        log('info', 'WebSocket upgrade detected');
-        return await fetch(targetUrl, request);
-      }
+        // 11b. Discovery & OpenAPI Edge Cache
+        const cacheTtl = Number(env.DISCOVERY_CACHE_TTL) || 0;
+        const useCache = cacheTtl > 0 && request.method === 'GET' && isDiscoveryPath(requestInfo);
 
-      // 10. Headers & Auth Injection
-      const newHeaders = new Headers(request.headers);
-      const upstreamHost = new URL(UPSTREAM_URL).host;
-      newHeaders.set('Host', upstreamHost);
-      newHeaders.set('User-Agent', `Kubernetes-API-Proxy/${VERSION}`);
-      newHeaders.set('X-Request-ID', requestId);
+        const upstreamStartedAt = Date.now();
+        let response;
+        let cacheStatus;
+        if (useCache) {
+          // Conditional requests are answered from the cached entry, not forwarded
+          apiRequest.headers.delete('If-None-Match');
+          apiRequest.headers.delete('If-Modified-Since');
+          const cacheKey = await buildDiscoveryCacheKey(caches.default, env.CACHE_GENERATION_KV, cluster, impersonationHeaders, strippedPath, url.search, apiRequest.headers.get('Accept') || '');
+          ({ response, cacheStatus } = await fetchWithDiscoveryCache(apiRequest, caches.default, cacheKey, cacheTtl, waitUntil, sendUpstream));
+        } else if (aggregateTargets) {
+          const aggregateSearch = new URLSearchParams(url.searchParams);
+          for (const name of ['clusters', 'namespaces', 'continue', 'watch']) {
+            aggregateSearch.delete(name);
+          }
+          aggregateSearch.set('limit', String(Number(env.AGGREGATE_PAGE_SIZE) || DEFAULT_AGGREGATE_PAGE_SIZE));
 
-      if (env.K8S_BEARER_TOKEN) {
-        newHeaders.set('Authorization', `Bearer ${env.K8S_BEARER_TOKEN}`);
-      }
+          const list = await aggregateLists(aggregateTargets, async (target, continueToken) => {
+            /** @type {ClusterTarget} */
+            const targetCluster = target.cluster === cluster.name ? cluster : registry.clusters[target.cluster];
+            const clusterValidation = validateApiUrl(targetCluster.url, env.UPSTREAM_ALLOWED_HOSTS);
+            const hostValidation = clusterValidation.valid && isFlagEnabled(env.UPSTREAM_DNS_CHECK)
+              ? await validateResolvedHost(new URL(targetCluster.url).hostname)
+              : clusterValidation;
+            if (!hostValidation.valid) {
+              log('error', 'Invalid cluster URL configuration', { cluster: targetCluster.name, error: hostValidation.error });
+              throw new Error(environment === 'development' ? hostValidation.error : 'Server misconfigured');
+            }
 
-      // 11. Forward Request
-      /** @type {RequestInit} */
-      const requestInit = {
-        method: request.method,
-        headers: newHeaders,
-        redirect: 'follow',
-      };
-      
-      // Add body for non-GET/HEAD methods
-      if (!['GET', 'HEAD'].includes(request.method)) {
-        requestInit.body = request.body;
-        // @ts-ignore - duplex is needed for Node.js fetch with streaming body
-        requestInit.duplex = 'half';
-      }
+            const pagePath = target.namespace ? buildNamespacedPath(requestInfo, target.namespace) : strippedPath;
+            const pageSearch = new URLSearchParams(aggregateSearch);
+            if (continueToken) {
+              pageSearch.set('continue', continueToken);
+            }
+            const pageHeaders = new Headers(newHeaders);
+            pageHeaders.set('Host', new URL(targetCluster.url).host);
+            pageHeaders.set('Accept', 'application/json');
+            pageHeaders.delete('Authorization');
+            if (targetCluster.token) {
+              pageHeaders.set('Authorization', `Bearer ${targetCluster.token}`);
+            }
+            return fetchUpstream(new Request(`${new URL(pagePath, targetCluster.url)}?${pageSearch}`, { headers: pageHeaders }), {
+              timeoutMs: integerSettings.values.UPSTREAM_TIMEOUT_MS,
+              retries: Number(env.UPSTREAM_RETRIES) || 0,
+              retryBaseMs: Number(env.UPSTREAM_RETRY_BASE_MS) || DEFAULT_RETRY_BASE_MS,
+              breaker: getCircuitBreaker(env, targetCluster),
+            });
+          }, {
+            concurrency: Number(env.AGGREGATE_CONCURRENCY) || DEFAULT_AGGREGATE_CONCURRENCY,
+            maxItems: Number(env.AGGREGATE_MAX_ITEMS) || DEFAULT_AGGREGATE_MAX_ITEMS,
+          });
+          spanAttributes['proxy.aggregate.targets'] = aggregateTargets.length;
+          response = new Response(JSON.stringify(list), { status: 200, headers: { 'Content-Type': 'application/json' } });
+        } else if (isPreview) {
+          const manifest = tryParseJson(bodyText);
+          if (typeof manifest?.apiVersion !== 'string' || typeof manifest.kind !== 'string' || typeof manifest.metadata?.name !== 'string') {
+            return createStatusResponse(400, 'BadRequest', 'the preview body must be a JSON manifest with apiVersion, kind and metadata.name', {
+              requestId,
+              allowedOrigin: effectiveOrigin,
+            });
+          }
+          const kindResource = await resolveKindResource(manifest.apiVersion, manifest.kind, fetchDocument);
+          if (!kindResource) {
+            return createStatusResponse(404, 'NotFound', `no matches for kind "${manifest.kind}" in version "${manifest.apiVersion}"`, {
+              requestId,
+              allowedOrigin: effectiveOrigin,
+            });
+          }
+          const namespace = kindResource.namespaced ? manifest.metadata.namespace || 'default' : '';
+          const objectPath = '/' + [
+            manifest.apiVersion.includes('/') ? 'apis' : 'api',
+            ...manifest.apiVersion.split('/'),
+            ...(namespace ? ['namespaces', namespace] : []),
+            kindResource.resource,
+            manifest.metadata.name,
+          ].map(encodePathSegment).join('/');
+
+          // The preview reads the live object and patches it, so the client needs both verbs
+          const objectInfo = parseRequestInfo('PATCH', objectPath);
+          for (const method of ['GET', 'PATCH']) {
+            const targetInfo = { ...objectInfo, verb: method.toLowerCase() };
+            const scopeDecision = namespaceScope.scope ? checkNamespaceScope(namespaceScope.scope, identity, targetInfo) : { allowed: true };
+            const policyDecision = policy.rules ? evaluatePolicy(policy.rules, method, targetInfo, policyDefault) : { allowed: true };
+            if (!scopeDecision.allowed || !policyDecision.allowed) {
+              const message = scopeDecision.message || `${method} ${objectPath} is forbidden by proxy policy${policyDecision.rule ? ` rule "${policyDecision.rule}"` : ''}`;
+              log('warn', 'Request rejected - preview not authorized', { method, path: objectPath, rule: policyDecision.rule ?? undefined });
+              return auditDenial(createStatusResponse(403, 'Forbidden', message, {
+                requestId,
+                allowedOrigin: effectiveOrigin,
+                details: { name: manifest.metadata.name, group: objectInfo.group || undefined, kind: kindResource.resource },
+              }));
+            }
+          }
+          spanAttributes['k8s.resource'] = kindResource.resource;
+          spanAttributes['k8s.namespace.name'] = namespace || undefined;
+
+          const previewHeaders = new Headers(newHeaders);
+          previewHeaders.set('Accept', 'application/json');
+          previewHeaders.delete('Content-Type');
+          previewHeaders.delete('Content-Encoding');
+          const objectUrl = new URL(objectPath, cluster.url);
+          const liveResponse = await sendUpstream(new Request(objectUrl, { headers: previewHeaders }));
+          if (!liveResponse.ok && liveResponse.status !== 404) {
+            response = liveResponse;
+          } else {
+            const applySearch = new URLSearchParams({ dryRun: 'All', fieldManager: url.searchParams.get('fieldManager') || DEFAULT_PREVIEW_FIELD_MANAGER });
+            if (url.searchParams.get('force') === 'true') {
+              applySearch.set('force', 'true');
+            }
+            const applyHeaders = new Headers(previewHeaders);
+            applyHeaders.set('Content-Type', 'application/apply-patch+yaml');
+            const applyResponse = await sendUpstream(new Request(`${objectUrl}?${applySearch}`, { method: 'PATCH', headers: applyHeaders, body: bodyText }));
+            if (!applyResponse.ok) {
+              response = applyResponse;
+            } else {
+              // Previews are not covered by step 11c, so Secret values are redacted here
+              const redactionOptions = { redactSecrets: isFlagEnabled(env.REDACT_SECRETS), rules: redactionRules.rules };
+              const live = liveResponse.ok ? redactKubernetesObject(await liveResponse.json(), redactionOptions) : null;
+              const proposed = redactKubernetesObject(await applyResponse.json(), redactionOptions);
+              response = new Response(JSON.stringify(buildPreview(live, proposed)), { status: 200, headers: { 'Content-Type': 'application/json' } });
+            }
+          }
+        } else if (fanOutNamespaces) {
+          response = await fetchAcrossNamespaces(apiRequest, requestInfo, fanOutNamespaces, sendUpstream);
+        } else {
+          response = await sendUpstream(apiRequest);
+        }
+        spanAttributes['proxy.upstream.duration_ms'] = Date.now() - upstreamStartedAt;
+        spanAttributes['proxy.cache'] = cacheStatus;
 
-      const apiRequest = new Request(targetUrl, requestInit);
+        // 11c. Response Redaction
+        if (redactObjects && response.ok && response.body && !/^application\/json\b/i.test(response.headers.get('Content-Type') || '')) {
+          // Never pass through a representation that could not be redacted
+          await response.body.cancel();
+          log('warn', 'Response rejected - not redactable', { contentType: response.headers.get('Content-Type') || undefined });
+          response = createStatusResponse(406, 'NotAcceptable', 'only application/json responses are served while redaction is enabled', {
+            requestId,
+            allowedOrigin: effectiveOrigin,
+          });
+        } else if ((redactSecrets || redactionRules.rules.length > 0) && requestInfo.isResourceRequest) {
+          response = await redactResponse(response, { redactSecrets, rules: redactionRules.rules }, requestInfo.verb === 'watch');
+        }
 
-      const response = await fetch(apiRequest);
+        // 11d. Server-Sent Events
+        if (eventStream && response.ok) {
+          response = watchToEventStream(response, integerSettings.values.SSE_HEARTBEAT_MS);
+        }
 
-      // 12. Harden Response Headers
-      const effectiveOrigin = corsValidation.matchedOrigin || (ALLOWED_ORIGIN === '*' ? '*' : '');
-      const resHeaders = hardenHeaders(response.headers, effectiveOrigin, requestId);
+        // 12. Harden Response Headers
+        const cacheable = useCache && response.status === 200;
+        const resHeaders = hardenHeaders(filterResponseHeaders(response.headers, env), effectiveOrigin, requestId, cacheable ? `private, max-age=${cacheTtl}` : NO_STORE_CACHE_CONTROL);
+        if (cacheStatus) {
+          resHeaders.set('X-Proxy-Cache', cacheStatus);
+          resHeaders.set('Access-Control-Expose-Headers', 'X-Request-ID, X-Proxy-Cache, ETag');
+        }
       
-      const durationMs = Date.now() - startTime;
-      log('info', 'Upstream response', { status: response.status, durationMs });
+        const durationMs = Date.now() - startTime;
+        log('info', 'Upstream response', { status: response.status, durationMs, cache: cacheStatus });
+        await recordMetrics(
+          {
+            name: 'kubernetes_proxy_requests_total',
+            labels: { cluster: cluster.name, ...metricLabels(request.method, requestInfo.resource, response.status), code: `${Math.floor(response.status / 100)}xx` },
+          },
+          {
+            name: 'kubernetes_proxy_upstream_duration_seconds',
+            labels: { cluster: cluster.name, method: metricLabels(request.method, '', response.status).method },
+            value: durationMs / 1000,
+          }
+        );
 
-      return new Response(response.body, {
-        status: response.status,
-        statusText: response.statusText,
-        headers: resHeaders,
-      });
+        // 12a. Audit Logging
+        if (auditLevel !== 'None') {
+          await emitAuditEvent(response.status, {
+            requestObject: requestBodyText !== undefined ? tryParseJson(requestBodyText) : undefined,
+            responseClone: auditLevel === 'RequestResponse' && response.headers.get('Content-Type')?.includes('json') ? response.clone() : null,
+          });
+        }
 
-    } catch (err) {
-      const durationMs = Date.now() - startTime;
-      log('error', 'Worker exception', { 
-        error: err.message, 
-        stack: environment === 'development' ? err.stack : undefined,
-        durationMs 
-      });
+        const clientEtag = request.headers.get('If-None-Match');
+        if (cacheable && clientEtag && clientEtag === response.headers.get('ETag')) {
+          return new Response(null, { status: 304, headers: resHeaders });
+        }
 
-      return createErrorResponse(
-        err,
-        requestId,
-        environment,
-        env?.ALLOWED_ORIGIN || '*'
-      );
-    }
+        return new Response(response.body, {
+          status: response.status,
+          statusText: response.statusText,
+          headers: resHeaders,
+        });
+
+      } catch (err) {
+        if (err instanceof RequestBodyTooLargeError) {
+          log('warn', 'Request rejected - body too large', { method: request.method, limitBytes: err.limitBytes });
+          spanError = err.message;
+          return auditDenial(createStatusResponse(413, 'RequestEntityTooLarge', err.message, { requestId, allowedOrigin: effectiveOrigin }));
+        }
+
+        const durationMs = Date.now() - startTime;
+        log('error', 'Worker exception', { 
+          error: err.message, 
+          stack: environment === 'development' ? err.stack : undefined,
+          durationMs 
+        });
+        await recordMetrics({
+          name: 'kubernetes_proxy_requests_total',
+          labels: { cluster: '', method: metricLabels(request.method, '', 500).method, resource: '', code: '5xx' },
+        });
+        spanError = err.message;
+
+        return createErrorResponse(
+          err,
+          requestId,
+          environment,
+          effectiveOrigin
+        );
+      }
+    };
+
+    const response = await handleRequest();
+    await exportRequestSpan(response.status, spanError);
+    return response;
   },
 };
 
@@ -347,7 +5678,7 @@ function handleCorsPreflight(allowedOrigin) {
     headers: {
       'Access-Control-Allow-Origin': allowedOrigin,
       'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS, PATCH',
-      'Access-Control-Allow-Headers': 'Authorization, Content-Type, X-CSRF-Token, X-Request-ID, Upgrade, Connection',
+      'Access-Control-Allow-Headers': 'Authorization, Content-Type, X-API-Key, X-CSRF-Token, X-Request-ID, Upgrade, Connection, traceparent, tracestate, Last-Event-ID, X-Dry-Run',
       'Access-Control-Expose-Headers': 'X-Request-ID',
       'Access-Control-Max-Age': '86400',
     },
@@ -370,9 +5701,10 @@ function isDashboardPath(pathname) {
  * @param {Headers} headers - Original response headers
  * @param {string} allowedOrigin - CORS allowed origin
  * @param {string} requestId - Request ID to expose
+ * @param {string} [cacheControl] - Cache-Control value (no-store unless the response is cacheable)
  * @returns {Headers} Hardened headers
  */
-function hardenHeaders(headers, allowedOrigin, requestId) {
+function hardenHeaders(headers, allowedOrigin, requestId, cacheControl = NO_STORE_CACHE_CONTROL) {
   const resHeaders = new Headers(headers);
   resHeaders.set('Access-Control-Allow-Origin', allowedOrigin);
   resHeaders.set('Access-Control-Expose-Headers', 'X-Request-ID');
@@ -382,10 +5714,15 @@ function hardenHeaders(headers, allowedOrigin, requestId) {
   resHeaders.set('Referrer-Policy', 'strict-origin-when-cross-origin');
   resHeaders.set('Strict-Transport-Security', 'max-age=31536000; includeSubDomains; preload');
   resHeaders.set('X-Request-ID', requestId);
-  resHeaders.set('Cache-Control', 'no-store, no-cache, must-revalidate');
-  resHeaders.set('Pragma', 'no-cache');
+  resHeaders.set('Cache-Control', cacheControl);
+  if (cacheControl === NO_STORE_CACHE_CONTROL) {
+    resHeaders.set('Pragma', 'no-cache');
+  } else {
+    resHeaders.delete('Pragma');
+  }
   // Remove potentially sensitive headers
   resHeaders.delete('Server');
   resHeaders.delete('X-Powered-By');
+  resHeaders.delete('Set-Cookie');
   return resHeaders;
 }